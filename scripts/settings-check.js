@@ -0,0 +1,112 @@
+const assert = require('assert');
+
+// Runs src/settings.js against in-memory storage areas: node scripts/settings-check.js
+const listeners = [];
+function createArea(name) {
+    const data = {};
+    const copy = value => JSON.parse(JSON.stringify(value));
+    const changed = changes => setTimeout(() => listeners.forEach(listener => listener(changes, name)));
+    return {
+        data,
+        async get(keys) { return Object.fromEntries([].concat(keys).filter(key => key in data).map(key => [key, copy(data[key])])); },
+        async set(items) {
+            Object.assign(data, copy(items));
+            changed(Object.fromEntries(Object.keys(items).map(key => [key, {newValue: copy(items[key])}])));
+        },
+        async remove(key) {
+            delete data[key];
+            changed({[key]: {}});
+        }
+    };
+}
+const local = createArea('local'), sync = createArea('sync');
+const messages = require('../src/_locales/en/messages.json');
+const i18n = {getMessage: (key, substitutions = []) => messages[key]?.message.replace(/\$(\d)/g, (_, n) => substitutions[n - 1]) ?? ''};
+globalThis.chrome = {i18n, storage: {local, sync, onChanged: {addListener: listener => listeners.push(listener)}}};
+const settings = require('../src/settings.js');
+const settled = () => new Promise(resolve => setTimeout(resolve, 100));
+
+const checks = {
+    async 'migrates the legacy storage.local item'() {
+        local.data['event-peeper:settings'] = {
+            display: {pinned: ['prod:1', 7], sort: 'name', filter: 'pits'},
+            notifications: {watch: {'prod:1': ['pits', null], 'prod:2': 'pits'}},
+            webhooks: [{id: 'hook', url: 'https://example.com/hook'}, 'junk']
+        };
+        const loaded = await settings.load();
+        assert.deepStrictEqual(loaded.display.pinned, ['prod:1']);
+        assert.strictEqual(loaded.display.sort, 'name');
+        assert.deepStrictEqual(loaded.notifications.watch, {'prod:1': ['pits']});
+        assert.strictEqual(loaded.webhooks.length, 1);
+        assert.ok(!('event-peeper:settings' in local.data), 'the legacy item is removed');
+        assert.strictEqual(sync.data['event-peeper:settings:version'], settings.SETTINGS_VERSION);
+        assert.strictEqual(sync.data['event-peeper:settings:display'].sort, 'name');
+        assert.ok(!('event-peeper:settings:webhooks' in sync.data), 'webhooks stay on the device');
+        assert.ok(!('filter' in loaded.display) && !('filter' in sync.data['event-peeper:settings:display']), 'the list filter is dropped');
+        assert.strictEqual(local.data['event-peeper:settings:local'].webhooks[0].id, 'hook');
+        assert.deepStrictEqual(await settings.load(), loaded);
+    },
+    async 'keeps synced settings over a legacy item'() {
+        local.data['event-peeper:settings'] = {display: {sort: 'soonest'}, webhooks: []};
+        const loaded = await settings.load();
+        assert.strictEqual(loaded.display.sort, 'name');
+        assert.strictEqual(loaded.webhooks.length, 1);
+        assert.ok(!('event-peeper:settings' in local.data));
+    },
+    async 'reports each save once'() {
+        const seen = [];
+        settings.onChange(value => seen.push(value));
+        await settled();
+        const current = await settings.load();
+        await settings.save({...current, display: {...current.display, sort: 'status'}, webhooks: []});
+        await settled();
+        assert.strictEqual(seen.length, 1);
+        assert.strictEqual(seen[0].display.sort, 'status');
+        assert.deepStrictEqual(seen[0], await settings.load());
+    },
+    'imports exports and keeps device-only settings'() {
+        const current = settings.normalize({webhooks: [{id: 'mine', url: 'https://example.com/mine'}]});
+        const text = settings.exportSettings(settings.normalize({display: {sort: 'soonest'}, webhooks: [{id: 'theirs'}]}));
+        const imported = settings.importSettings(text, current);
+        assert.strictEqual(imported.display.sort, 'soonest');
+        assert.deepStrictEqual(imported.webhooks.map(hook => hook.id), ['mine']);
+    },
+    'migrates and validates imported files'() {
+        const file = JSON.stringify({format: 'event-peeper-settings', settings: {
+            display: {hiddenServers: ['test:3', {}], pinned: 'prod:1', types: ['pits', 4]},
+            notifications: {watch: {'prod:1': ['pits', ['nested']], 'prod:2': {pits: true}}}
+        }});
+        const imported = settings.importSettings(file, settings.normalize({}));
+        assert.deepStrictEqual(imported.display.hiddenServers, ['test:3']);
+        assert.deepStrictEqual(imported.display.pinned, []);
+        assert.deepStrictEqual(imported.display.types, ['pits']);
+        assert.deepStrictEqual(imported.notifications.watch, {'prod:1': ['pits']});
+    },
+    'rejects files it cannot import'() {
+        const newer = JSON.stringify({format: 'event-peeper-settings', version: settings.SETTINGS_VERSION + 1, settings: {}});
+        for (const [text, message] of [['nope', /not JSON/], ['{}', /not an Event Peeper/], [newer, /newer version/]]) {
+            assert.throws(() => settings.importSettings(text, settings.normalize({})), message);
+        }
+    },
+    async 'leaves settings from a newer version alone'() {
+        sync.data['event-peeper:settings:version'] = settings.SETTINGS_VERSION + 1;
+        const loaded = await settings.load();
+        await assert.rejects(settings.save({...loaded, display: {...loaded.display, sort: 'api'}}), /newer version/);
+        assert.strictEqual(sync.data['event-peeper:settings:version'], settings.SETTINGS_VERSION + 1);
+        assert.strictEqual(sync.data['event-peeper:settings:display'].sort, 'status');
+    }
+};
+
+(async () => {
+    let failed = 0;
+    for (const [name, check] of Object.entries(checks)) {
+        try {
+            await check();
+            console.log('ok   ' + name);
+        } catch (error) {
+            failed++;
+            console.error('FAIL ' + name + '\n' + error.stack);
+        }
+    }
+    process.exit(failed ? 1 : 0);
+})();
@@ -0,0 +1,42 @@
+const http = require('http');
+
+const args = process.argv.slice(2);
+const option = (name, fallback) => {
+    const index = args.indexOf(name);
+    return index === -1 ? fallback : Number(args[index + 1]);
+};
+const port = option('--port', 8787);
+let failuresLeft = option('--fail', 0);
+
+if (!Number.isInteger(port) || !Number.isInteger(failuresLeft) || failuresLeft < 0) {
+    console.error('Usage: node scripts/webhook-echo.js [--port 8787] [--fail <count>]');
+    process.exit(1);
+}
+
+const server = http.createServer((request, response) => {
+    response.setHeader('Access-Control-Allow-Origin', '*');
+    response.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+    if (request.method === 'OPTIONS') {
+        response.writeHead(204).end();
+        return;
+    }
+
+    let body = '';
+    request.on('data', chunk => { body += chunk; });
+    request.on('end', () => {
+        const failing = failuresLeft > 0;
+        if (failing) failuresLeft--;
+        console.log(`${new Date().toISOString()} ${request.method} ${request.url} -> ${failing ? 500 : 204}`);
+        try {
+            console.log(JSON.stringify(JSON.parse(body), null, 2));
+        } catch {
+            console.log(body);
+        }
+        response.writeHead(failing ? 500 : 204).end();
+    });
+});
+
+server.listen(port, '127.0.0.1', () => {
+    console.log(`Webhook stand-in listening on http://127.0.0.1:${port}/`);
+    if (failuresLeft) console.log(`Answering the first ${failuresLeft} request(s) with HTTP 500 to exercise retries`);
+});
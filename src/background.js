@@ -1,79 +1,627 @@
 if (typeof EventPeeperV2 === 'undefined' && typeof importScripts === 'function') {
-    importScripts('v2-model.js');
+    importScripts('v2-model.js', 'settings.js', 'history.js', 'webhooks.js', 'stream.js', 'replay.js');
 }
 
 const VERSION = chrome.runtime.getManifest().version;
-const API_BASE = 'https://dsa-api.certainhuman.com/v2';
-const ENDPOINTS = {servers: `${API_BASE}/game/servers`, missions: `${API_BASE}/missions/active`, pvp: `${API_BASE}/pvp-events/schedule`};
+const ENDPOINT_PATHS = {servers: '/game/servers', missions: '/missions/active', pvp: '/pvp-events/schedule'};
 const CACHE_KEY = 'event-peeper:v2:snapshot';
+const ACTIVE_PAGE_KEY = 'event-peeper:active-page';
+const REPLAY_KEY = 'event-peeper:replay';
+const WEBHOOK_QUEUE_KEY = 'event-peeper:webhook-queue';
+const NOTIFICATION_PREFIX = 'event-peeper:notify:';
+const PVP_ALARM_PREFIX = 'event-peeper:pvp:';
+const REFRESH_ALARM = 'event-peeper:refresh';
+const POLL_ALARM = 'event-peeper:poll';
+const BADGE_ALARM = 'event-peeper:badge';
+const WEBHOOK_ALARM = 'event-peeper:webhooks';
+const BADGE_COLORS = {open: '#12a150', announced: '#b7860a', closed: '#d43f2f', pvp: '#1f7fd0', inactive: '#6b7778'};
+// Alarms are clamped to roughly 30 s; closer targets use a timer while the worker is still awake.
+const MIN_ALARM_DELAY_MS = 30_000;
+const REFRESH_SLACK_MS = 2_000;
+const DELTA_DEBOUNCE_MS = 250;
+// Servers barely change and missions move by the minute; PvP is worked out from the poll interval by endpointTtl().
+const ENDPOINT_TTL_MS = {servers: 15 * 60_000, missions: 30_000};
+const RETRY_BASE_MS = 5_000;
+const RETRY_MAX_MS = 10 * 60_000;
 const storage = typeof browser !== 'undefined' ? browser.storage : chrome.storage;
+const alarms = typeof browser !== 'undefined' ? browser.alarms : chrome.alarms;
+const notifications = typeof browser !== 'undefined' ? browser.notifications : chrome.notifications;
+const action = typeof browser !== 'undefined' ? browser.browserAction : chrome.action;
+const tabs = typeof browser !== 'undefined' ? browser.tabs : chrome.tabs;
+const i18n = typeof browser !== 'undefined' ? browser.i18n : chrome.i18n;
 let snapshot = null;
 let endpointBodies = {servers: {}, missions: {}, pvp: {}};
+// Per endpoint: {etag, lastModified, fetchedAt, receivedAt, failures, retryAt}.
+let endpointState = {servers: {}, missions: {}, pvp: {}};
 let inFlight = null;
+let settings = EventPeeperSettings.normalize({});
+let settingsLoaded = null;
+let refreshTimer = null;
+let missionHistory = null;
+let webhookTimer = null;
+// Pending deliveries only matter while the browser runs, so session storage is preferred where it exists.
+const webhookArea = storage.session || storage.local;
+const webhookDispatcher = EventPeeperWebhooks.createDispatcher({
+    load: () => webhookArea.get(WEBHOOK_QUEUE_KEY).then(stored => stored?.[WEBHOOK_QUEUE_KEY]),
+    save: queues => webhookArea.set({[WEBHOOK_QUEUE_KEY]: queues}),
+    schedule: scheduleWebhooks
+});
+let stream = null;
+let streamKey = '';
+let streamStatus = 'offline';
+let deltaTimer = null;
+// Summaries of every recording; the frames of the one being recorded and the one being replayed are the only ones read.
+let recordingIndex = null;
+let recordingIndexLoaded = null;
+let activeRecording = null;
+let activeRecordingLoaded = null;
+let replayRecording = null;
+let recordingSaveTimer = null;
+// While a recording is replayed, the popup is shown replaySnapshot and the live pipeline (fetches, stream, alerts) is paused.
+let replayClock = null;
+let replayLoaded = null;
+let replaySnapshot = null;
+let replayTimer = null;
 
 function requestHeaders() {
-    return {'Cache-Control': 'no-cache', Pragma: 'no-cache', 'User-Agent': `EventPeeper/${VERSION}`, 'X-App-Version': VERSION};
+    return {'User-Agent': `EventPeeper/${VERSION}`, 'X-App-Version': VERSION};
 }
 async function loadCache() {
     if (snapshot) return snapshot;
     try {
         const stored = await storage.local.get(CACHE_KEY);
         endpointBodies = stored?.[CACHE_KEY]?.endpointBodies || endpointBodies;
+        endpointState = {...endpointState, ...stored?.[CACHE_KEY]?.endpointState};
         snapshot = stored?.[CACHE_KEY]?.snapshot || null;
     } catch (error) { console.error('Failed to load v2 snapshot:', error); }
     return snapshot;
 }
 async function saveCache() {
-    try { await storage.local.set({[CACHE_KEY]: {endpointBodies, snapshot}}); }
+    try { await storage.local.set({[CACHE_KEY]: {endpointBodies, endpointState, snapshot}}); }
     catch (error) { console.error('Failed to save v2 snapshot:', error); }
 }
-function notify() { try { chrome.runtime.sendMessage({type: 'event-peeper:update', payload: snapshot}); } catch {} }
+function loadSettings() {
+    if (!settingsLoaded) settingsLoaded = EventPeeperSettings.load().then(value => (settings = value));
+    return settingsLoaded;
+}
+// With no popup or options page open there is no receiver; reading lastError in the callback keeps that from surfacing as an error.
+function notify() { try { chrome.runtime.sendMessage({type: 'event-peeper:update', payload: replaySnapshot || snapshot}, () => chrome.runtime.lastError); } catch {} }
+function retryDelay(failures) { return Math.round(Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** (failures - 1)) * (0.5 + Math.random() / 2)); }
+// An endpoint is due once its TTL runs out or its refresh target passes; backoff holds it back, except for a manual refresh.
+function isDue(name, manual) {
+    const state = endpointState[name] || {}, now = Date.now();
+    if (manual) return true;
+    if (state.retryAt && now < state.retryAt) return false;
+    if (state.refreshAt && now >= state.refreshAt && !(state.fetchedAt >= state.refreshAt)) return true;
+    return !state.fetchedAt || now - state.fetchedAt >= endpointTtl()[name];
+}
+// Resolves to null once the body is current, or to a structured error for the popup.
 async function fetchEndpoint(name) {
-    const response = await fetch(ENDPOINTS[name], {cache: 'no-cache', headers: requestHeaders()});
-    if (!response.ok) throw new Error(`HTTP ${response.status}`);
-    return response.json();
+    const state = endpointState[name] || {}, headers = requestHeaders();
+    const generatedAt = Number(endpointBodies[name]?.generated_at_unix);
+    if (state.etag) headers['If-None-Match'] = state.etag;
+    // Without validators from the server, the body's own generation time stands in for Last-Modified.
+    if (state.lastModified || generatedAt) headers['If-Modified-Since'] = state.lastModified || new Date(generatedAt * 1000).toUTCString();
+    let response;
+    try {
+        response = await fetch(EventPeeperSettings.apiBase(settings) + ENDPOINT_PATHS[name], {cache: 'no-store', headers});
+        if (response.status !== 304) {
+            if (!response.ok) throw new Error(`HTTP ${response.status}`);
+            endpointBodies[name] = await response.json();
+            state.receivedAt = Math.floor(Date.now() / 1000);
+            recordFrame(name);
+        }
+    } catch (error) {
+        const failures = (state.failures || 0) + 1;
+        endpointState[name] = {...state, failures, retryAt: Date.now() + retryDelay(failures)};
+        return {message: String(error?.message || error || 'Request failed'), status: response?.status || null, failures, retryAt: endpointState[name].retryAt};
+    }
+    endpointState[name] = {
+        etag: response.headers.get('ETag') || (response.status === 304 ? state.etag : null),
+        lastModified: response.headers.get('Last-Modified') || (response.status === 304 ? state.lastModified : null),
+        fetchedAt: Date.now(), receivedAt: state.receivedAt || null, failures: 0, retryAt: null
+    };
+    return null;
 }
-async function refreshSnapshot({forced = false} = {}) {
-    await loadCache();
+async function refreshSnapshot({manual = false} = {}) {
+    await Promise.all([loadCache(), loadSettings(), loadReplay()]);
+    if (replayClock) return snapshot;
     if (inFlight) return inFlight;
-    if (!forced && snapshot && Date.now() - Number(snapshot.savedAt || 0) < 30_000) return snapshot;
-    snapshot = {...(snapshot || {}), loading: true, errors: {}};
+    const due = Object.keys(ENDPOINT_PATHS).filter(name => isDue(name, manual));
+    if (!due.length && snapshot?.servers) return snapshot;
+    // Endpoints that are not due keep their last error until they are tried again.
+    const {request, ...errors} = snapshot?.errors || {};
+    snapshot = {...(snapshot || {}), loading: true, errors};
     notify();
     inFlight = (async () => {
-        const results = await Promise.allSettled(Object.keys(ENDPOINTS).map(fetchEndpoint));
-        const errors = {};
-        Object.keys(ENDPOINTS).forEach((name, index) => {
-            if (results[index].status === 'fulfilled') {
-                endpointBodies[name] = results[index].value;
-            } else {
-                errors[name] = String(results[index].reason?.message || results[index].reason || 'Request failed');
-            }
+        const failures = await Promise.all(due.map(fetchEndpoint));
+        due.forEach((name, index) => {
+            if (failures[index]) errors[name] = failures[index];
+            else delete errors[name];
         });
-        snapshot = EventPeeperV2.createSnapshot({
-            serversBody: endpointBodies.servers, missionsBody: endpointBodies.missions, pvpBody: endpointBodies.pvp,
-            generatedAt: {servers: endpointBodies.servers?.generated_at_unix, missions: endpointBodies.missions?.generated_at_unix, pvp: endpointBodies.pvp?.generated_at_unix},
-            savedAt: Date.now(), errors, loading: false
-        });
-        await saveCache();
-        notify();
-        return snapshot;
+        return commitSnapshot(errors);
     })().catch(error => {
-        snapshot = {...(snapshot || {}), loading: false, errors: {request: String(error.message || error)}};
+        snapshot = {...(snapshot || {}), loading: false, errors: {...snapshot?.errors, request: {message: String(error.message || error)}}};
         notify();
         return snapshot;
     }).finally(() => { inFlight = null; });
     return inFlight;
 }
 
+// Chrome stops the service worker about 30 s after its last extension event, and bytes arriving on a fetch body do not count as one.
+// A WebSocket whose server sends a keepalive at least every 25 s does keep it running (Chrome 116+), so that is the stream polling can
+// rely on there; an SSE stream in the service worker only delivers changes early while the usual polling carries on.
+const SSE_STAYS_OPEN = typeof importScripts !== 'function';
+function isLive() { return streamStatus === 'live' && (settings.stream.protocol === 'websocket' || SSE_STAYS_OPEN); }
+function transport() { return isLive() ? 'live' : 'polled'; }
+async function commitSnapshot(errors) {
+    const previous = snapshot;
+    snapshot = EventPeeperV2.createSnapshot({
+        serversBody: endpointBodies.servers, missionsBody: endpointBodies.missions, pvpBody: endpointBodies.pvp,
+        generatedAt: {servers: endpointBodies.servers?.generated_at_unix, missions: endpointBodies.missions?.generated_at_unix, pvp: endpointBodies.pvp?.generated_at_unix},
+        receivedAt: Object.fromEntries(Object.entries(endpointState).map(([name, state]) => [name, state.receivedAt])),
+        savedAt: Date.now(), errors, loading: false
+    });
+    snapshot.transport = transport();
+    snapshot.ttl = endpointTtl();
+    // Unlike generated_at_unix this also moves on a 304, so it tells whether the popup's data has been checked lately.
+    snapshot.fetchedAt = Object.fromEntries(Object.keys(ENDPOINT_PATHS).map(name => [name, endpointState[name]?.fetchedAt || null]));
+    // Transitions are recorded before the snapshot is stored and broadcast, so its history and predictions are never a step behind.
+    await handleSnapshotChange(previous, snapshot);
+    await saveCache();
+    notify();
+    return snapshot;
+}
+
+function applyStreamMessage(message) {
+    const next = EventPeeperV2.applyDelta(endpointBodies, message);
+    if (!next) return;
+    const generated = next[message.endpoint].generated_at_unix;
+    // receivedAt only moves with a new server timestamp; pairing a fresh arrival with an old generated_at_unix would read as clock skew.
+    if (generated != null && generated !== endpointBodies[message.endpoint]?.generated_at_unix) {
+        endpointState[message.endpoint] = {...endpointState[message.endpoint], receivedAt: Math.floor(Date.now() / 1000)};
+    }
+    endpointBodies = next;
+    recordFrame(message.endpoint);
+    // Bursts of deltas are folded into one rebuild, queued behind any fetch that is still running.
+    clearTimeout(deltaTimer);
+    deltaTimer = setTimeout(() => Promise.resolve(inFlight).then(() => commitSnapshot(snapshot?.errors || {})), DELTA_DEBOUNCE_MS);
+}
+function setStreamStatus(status) {
+    const wasLive = isLive();
+    streamStatus = status;
+    // A fresh connection only sends what changes from here on, so catch up on whatever went stale before it connected.
+    if (isLive() && !wasLive) refreshSnapshot();
+    else if (snapshot?.servers && snapshot.transport !== transport()) { snapshot = {...snapshot, transport: transport()}; notify(); }
+}
+async function syncStream() {
+    await Promise.all([loadCache(), loadSettings(), loadReplay()]);
+    const config = settings.stream;
+    let url = null;
+    if (config.enabled && !replayClock) {
+        try { url = EventPeeperStream.streamUrl(EventPeeperSettings.apiBase(settings), config.url, config.protocol); }
+        catch (error) { console.error('Invalid stream URL:', error); }
+    }
+    const key = url ? config.protocol + ' ' + url : '';
+    if (key === streamKey) return;
+    stream?.stop();
+    stream = null;
+    streamKey = key;
+    if (!url) return;
+    stream = EventPeeperStream.createStream({url, protocol: config.protocol, headers: requestHeaders(), onMessage: applyStreamMessage, onStatus: setStreamStatus});
+    stream.start();
+}
+
+function readRecording(id) {
+    const key = EventPeeperReplay.recordingKey(id);
+    return storage.local.get(key).then(stored => stored?.[key] || null);
+}
+function loadRecordingIndex() {
+    if (!recordingIndexLoaded) {
+        recordingIndexLoaded = storage.local.get(EventPeeperReplay.RECORDINGS_KEY).then(async stored => {
+            const list = Array.isArray(stored?.[EventPeeperReplay.RECORDINGS_KEY]) ? stored[EventPeeperReplay.RECORDINGS_KEY] : [];
+            if (!list.some(entry => Array.isArray(entry.frames))) return list;
+            // Older versions kept every recording, frames and all, in this one array.
+            const items = {[EventPeeperReplay.RECORDINGS_KEY]: list.map(EventPeeperReplay.summary)}, active = list.find(entry => entry.endedAt == null);
+            for (const recording of list) items[EventPeeperReplay.recordingKey(recording.id)] = recording;
+            if (active) items[EventPeeperReplay.ACTIVE_RECORDING_KEY] = active.id;
+            await storage.local.set(items);
+            activeRecordingLoaded = null;
+            return items[EventPeeperReplay.RECORDINGS_KEY];
+        }).catch(error => { console.error('Failed to load recordings:', error); return []; })
+            .then(value => (recordingIndex = value));
+    }
+    return recordingIndexLoaded;
+}
+function loadActiveRecording() {
+    if (!activeRecordingLoaded) {
+        activeRecordingLoaded = storage.local.get(EventPeeperReplay.ACTIVE_RECORDING_KEY)
+            .then(stored => stored?.[EventPeeperReplay.ACTIVE_RECORDING_KEY] ? readRecording(stored[EventPeeperReplay.ACTIVE_RECORDING_KEY]) : null)
+            .catch(error => { console.error('Failed to load the active recording:', error); return null; })
+            .then(value => (activeRecording = value?.endedAt == null ? value : null));
+    }
+    return activeRecordingLoaded;
+}
+function indexWith(summary) { return recordingIndex.filter(entry => entry.id !== summary.id).concat(summary); }
+async function storeRecording(recording) {
+    const index = indexWith(EventPeeperReplay.summary(recording));
+    await storage.local.set({[EventPeeperReplay.recordingKey(recording.id)]: recording, [EventPeeperReplay.RECORDINGS_KEY]: index});
+    recordingIndex = index;
+}
+async function removeRecordings(ids) {
+    if (!ids.length) return;
+    recordingIndex = recordingIndex.filter(entry => !ids.includes(entry.id));
+    if (ids.includes(replayRecording?.id)) replayRecording = null;
+    await storage.local.set({[EventPeeperReplay.RECORDINGS_KEY]: recordingIndex});
+    await storage.local.remove(ids.map(EventPeeperReplay.recordingKey));
+}
+async function saveActiveRecording() {
+    clearTimeout(recordingSaveTimer);
+    const recording = activeRecording;
+    if (!recording) return;
+    if (recording.endedAt != null) activeRecording = null;
+    try {
+        await storeRecording(recording);
+        if (recording.endedAt != null) await storage.local.remove(EventPeeperReplay.ACTIVE_RECORDING_KEY);
+    } catch (error) {
+        console.error('Failed to save recording:', error);
+        // Most likely the quota: stop recording so the cache and history writes sharing it keep working.
+        activeRecording = null;
+        recordingIndex = indexWith({...EventPeeperReplay.summary(recording), endedAt: Math.floor(Date.now() / 1000), stopReason: 'storage'});
+        try {
+            await storage.local.set({[EventPeeperReplay.RECORDINGS_KEY]: recordingIndex});
+            await storage.local.remove(EventPeeperReplay.ACTIVE_RECORDING_KEY);
+        } catch {}
+    }
+}
+async function recordFrame(name) {
+    await loadActiveRecording();
+    if (!activeRecording) return;
+    await loadRecordingIndex();
+    const recording = activeRecording;
+    const budget = EventPeeperReplay.MAX_BYTES - EventPeeperReplay.totalBytes(recordingIndex.filter(entry => entry.id !== recording.id));
+    activeRecording = EventPeeperReplay.addFrame(recording, name, endpointBodies[name], undefined, budget);
+    if (activeRecording === recording) return;
+    // Deltas arrive in bursts; one write covers them all.
+    clearTimeout(recordingSaveTimer);
+    recordingSaveTimer = setTimeout(saveActiveRecording, 1_000);
+}
+function recordingList() {
+    const recordings = recordingIndex.map(entry => entry.id === activeRecording?.id ? EventPeeperReplay.summary(activeRecording) : entry);
+    return {recording: !!activeRecording, recordings, replay: replayClock};
+}
+// Makes room for one more recording, dropping the oldest beyond MAX_RECORDINGS, and returns the ones kept.
+async function keepRecent(exceptId) {
+    const others = recordingIndex.filter(entry => entry.id !== exceptId), kept = others.slice(-(EventPeeperReplay.MAX_RECORDINGS - 1));
+    await removeRecordings(others.slice(0, others.length - kept.length).map(entry => entry.id));
+    return kept;
+}
+async function manageRecordings(message) {
+    await Promise.all([loadRecordingIndex(), loadActiveRecording(), loadCache(), loadReplay()]);
+    try {
+        if (message.action === 'start' && !activeRecording) {
+            let recording = EventPeeperReplay.createRecording();
+            const budget = EventPeeperReplay.MAX_BYTES - EventPeeperReplay.totalBytes(await keepRecent(recording.id));
+            // Seed it with the cached bodies, so there is a baseline even if every later fetch comes back 304.
+            for (const name of Object.keys(ENDPOINT_PATHS)) recording = EventPeeperReplay.addFrame(recording, name, endpointBodies[name], recording.startedAt, budget);
+            activeRecording = recording;
+            await storage.local.set({[EventPeeperReplay.ACTIVE_RECORDING_KEY]: recording.id});
+            await saveActiveRecording();
+        } else if (message.action === 'stop' && activeRecording) {
+            activeRecording = {...activeRecording, endedAt: Math.floor(Date.now() / 1000)};
+            await saveActiveRecording();
+        } else if (message.action === 'delete') {
+            if (activeRecording?.id === message.id) {
+                clearTimeout(recordingSaveTimer);
+                activeRecording = null;
+                await storage.local.remove(EventPeeperReplay.ACTIVE_RECORDING_KEY);
+            }
+            await removeRecordings([message.id]);
+            if (replayClock?.id === message.id) await setReplay(null);
+        } else if (message.action === 'import') {
+            const recording = EventPeeperReplay.normalizeRecording(message.recording);
+            if (!recording) return {...recordingList(), error: t('recordingInvalid')};
+            const others = recordingIndex.filter(entry => entry.id !== recording.id && entry.id !== activeRecording?.id);
+            if (EventPeeperReplay.totalBytes(others.slice(-(EventPeeperReplay.MAX_RECORDINGS - 1))) + recording.bytes > EventPeeperReplay.MAX_BYTES) {
+                return {...recordingList(), error: t('recordingNoRoom')};
+            }
+            await keepRecent(recording.id);
+            await storeRecording(recording);
+        } else if (message.action === 'export') {
+            return {...recordingList(), recording: activeRecording?.id === message.id ? activeRecording : await readRecording(message.id)};
+        }
+    } catch (error) {
+        console.error('Failed to update recordings:', error);
+        return {...recordingList(), error: t('recordingStoreFailed', error.message || error)};
+    }
+    return recordingList();
+}
+
+function loadReplay() {
+    if (!replayLoaded) {
+        replayLoaded = Promise.resolve(storage.session?.get(REPLAY_KEY))
+            .then(stored => (replayClock = stored?.[REPLAY_KEY] || null))
+            .catch(error => { console.error('Failed to load replay state:', error); return null; });
+    }
+    return replayLoaded;
+}
+async function setReplay(clock) {
+    const wasReplaying = Boolean(await loadReplay());
+    replayClock = clock;
+    replayLoaded = Promise.resolve(clock);
+    try { await (clock ? storage.session?.set({[REPLAY_KEY]: clock}) : storage.session?.remove(REPLAY_KEY)); }
+    catch (error) { console.error('Failed to save replay state:', error); }
+    if (!clock) replayRecording = null;
+    await replayStep();
+    if (wasReplaying === Boolean(clock)) return;
+    // Starting a replay drops the stream and pending refreshes; stopping it reconnects and catches up on whatever went stale.
+    syncStream();
+    if (clock) { clearTimeout(refreshTimer); clearTimeout(deltaTimer); }
+    else refreshSnapshot();
+}
+async function replayRecordingFor(id) {
+    if (replayRecording?.id !== id) {
+        await loadActiveRecording();
+        replayRecording = activeRecording?.id === id ? activeRecording : await readRecording(id).catch(error => { console.error('Failed to load recording:', error); return null; });
+    }
+    return replayRecording;
+}
+async function replayStep() {
+    clearTimeout(replayTimer);
+    await loadReplay();
+    const recording = replayClock && await replayRecordingFor(replayClock.id);
+    if (!recording) {
+        if (replayClock) await setReplay(null);
+        else if (replaySnapshot) { replaySnapshot = null; notify(); }
+        return;
+    }
+    const time = EventPeeperReplay.virtualNow(replayClock), bodies = EventPeeperReplay.bodiesAt(recording, time);
+    replaySnapshot = EventPeeperV2.createSnapshot({serversBody: bodies.servers, missionsBody: bodies.missions, pvpBody: bodies.pvp});
+    replaySnapshot.transport = 'replay';
+    replaySnapshot.ttl = endpointTtl();
+    replaySnapshot.replay = {...replayClock, frames: [...new Set(recording.frames.map(frame => frame.at))]};
+    notify();
+    // Bodies only change at frame boundaries; the popup animates everything in between from the clock.
+    const next = EventPeeperReplay.nextFrameTime(recording, time);
+    if (replayClock.playing && next != null) replayTimer = setTimeout(replayStep, Math.max(50, (next - time) * 1000 / replayClock.speed));
+}
+async function controlReplay(message) {
+    await loadReplay();
+    if (message.action === 'start') {
+        const recording = await replayRecordingFor(message.id);
+        if (recording) await setReplay(EventPeeperReplay.createClock(recording));
+    } else if (message.action === 'stop') {
+        await setReplay(null);
+    } else if (replayClock) {
+        await setReplay(EventPeeperReplay.updateClock(replayClock, {time: message.time, speed: message.speed, playing: message.playing}));
+    }
+    return displayedSnapshot();
+}
+async function displayedSnapshot() {
+    await loadReplay();
+    if (replayClock && !replaySnapshot) await replayStep();
+    return replaySnapshot || snapshot;
+}
+
+async function handleSnapshotChange(previous, current) {
+    await loadSettings();
+    if (previous?.missionServers) {
+        const transitions = EventPeeperV2.missionTransitions(previous, current);
+        alertTransitions(transitions);
+        forwardTransitions(transitions);
+        await recordTransitions(transitions);
+    }
+    current.predictions = EventPeeperHistory.predictions(await loadHistory(), current);
+    await schedulePvpReminders();
+    scheduleRefresh();
+    updateBadge();
+}
+
+async function loadHistory() {
+    if (missionHistory) return missionHistory;
+    try {
+        const stored = await storage.local.get(EventPeeperHistory.HISTORY_KEY);
+        missionHistory = Array.isArray(stored?.[EventPeeperHistory.HISTORY_KEY]) ? stored[EventPeeperHistory.HISTORY_KEY] : [];
+    } catch (error) {
+        console.error('Failed to load mission history:', error);
+        missionHistory = [];
+    }
+    return missionHistory;
+}
+async function saveHistory() {
+    try { await storage.local.set({[EventPeeperHistory.HISTORY_KEY]: missionHistory}); }
+    catch (error) { console.error('Failed to save mission history:', error); }
+}
+async function recordTransitions(transitions) {
+    if (!transitions.length) return;
+    missionHistory = EventPeeperHistory.append(await loadHistory(), transitions);
+    await saveHistory();
+}
+
+function scheduleRefresh() {
+    clearTimeout(refreshTimer);
+    const now = Date.now();
+    for (const [name, target] of Object.entries(EventPeeperV2.refreshTargets(snapshot, Math.floor(now / 1000)))) {
+        const state = endpointState[name] || {}, at = target ? target * 1000 + REFRESH_SLACK_MS : null;
+        let refreshAt = at;
+        // A target already behind us means the API has not caught up; each retry waits as long as it has lagged so far, up to the poll interval.
+        if (at && at <= now) refreshAt = state.refreshAt > now ? state.refreshAt : now + Math.min(Math.max(now - at, MIN_ALARM_DELAY_MS), pollMinutes() * 60_000);
+        endpointState[name] = {...state, refreshAt};
+    }
+    const when = Math.min(...Object.values(endpointState).flatMap(state => [state.refreshAt, state.retryAt]).filter(Boolean)), delay = when - now;
+    if (!Number.isFinite(when)) { alarms?.clear(REFRESH_ALARM); return; }
+    if (!isLive() && delay > 0 && delay < MIN_ALARM_DELAY_MS) refreshTimer = setTimeout(refreshSnapshot, delay);
+    alarms?.create(REFRESH_ALARM, {when: Math.max(when, now + MIN_ALARM_DELAY_MS)});
+}
+function pollMinutes() { return Math.max(1, Math.min(60, Math.round(Number(settings.refresh.pollMinutes) || 5))); }
+// PvP sits a little under the poll interval, so each poll still picks it up however the interval is set.
+function endpointTtl() { return {...ENDPOINT_TTL_MS, pvp: pollMinutes() * 60_000 * 0.8}; }
+async function ensureAlarms() {
+    if (!alarms) return;
+    try {
+        await loadSettings();
+        const poll = await alarms.get(POLL_ALARM);
+        if (!poll || poll.periodInMinutes !== pollMinutes()) alarms.create(POLL_ALARM, {periodInMinutes: pollMinutes()});
+        if (!await alarms.get(BADGE_ALARM)) alarms.create(BADGE_ALARM, {periodInMinutes: 1});
+    } catch (error) { console.error('Failed to schedule alarms:', error); }
+}
+function updateBadge() {
+    if (!action || !snapshot) return;
+    const badge = EventPeeperV2.badgeState(EventPeeperSettings.visibleSnapshot(settings, snapshot), settings.badge);
+    Promise.resolve()
+        .then(() => Promise.all([
+            action.setBadgeText({text: badge.text}),
+            action.setBadgeBackgroundColor({color: BADGE_COLORS[badge.state] || BADGE_COLORS.inactive}),
+            action.setTitle({title: badge.title})
+        ]))
+        .catch(error => console.error('Failed to update badge:', error));
+}
+
+function t(key, ...substitutions) { return i18n?.getMessage(key, substitutions.map(String)) || key; }
+const TRANSITION_TITLES = {announced: 'notifyAnnounced', open: 'notifyOpen', closed: 'notifyClosed'};
+function minutesUntil(seconds) { return Math.max(0, Math.ceil((Number(seconds) - Date.now() / 1000) / 60)); }
+function showNotification(page, key, title, message) {
+    if (!notifications || !settings.notifications.enabled || EventPeeperSettings.inQuietHours(settings)) return;
+    Promise.resolve()
+        .then(() => notifications.create(NOTIFICATION_PREFIX + page + '|' + key, {type: 'basic', iconUrl: chrome.runtime.getURL('icon.png'), title, message}))
+        .catch(error => console.error('Failed to show notification:', error));
+}
+function isCurrentTransition(transition, currentNow) {
+    const openTime = Number(transition.mission.open_time_unix), closeTime = Number(transition.mission.close_time_unix);
+    if (transition.to === 'announced') return openTime > currentNow;
+    if (transition.to === 'open') return !Number.isFinite(closeTime) || closeTime === 0 || closeTime > currentNow;
+    if (transition.to === 'closed') return closeTime + EventPeeperV2.CLOSED_DURATION_SECONDS > currentNow;
+    return false;
+}
+function transitionMessage(transition) {
+    const mission = transition.mission;
+    if (transition.to === 'announced') return t('notifyOpensIn', minutesUntil(mission.open_time_unix));
+    if (transition.to === 'open') return Number(mission.close_time_unix) > 0 ? t('notifyClosesIn', minutesUntil(mission.close_time_unix)) : t('notifyOpenNow');
+    return t('notifyConcludesSoon');
+}
+function alertTransitions(transitions) {
+    const currentNow = Math.floor(Date.now() / 1000);
+    for (const transition of transitions) {
+        if (!TRANSITION_TITLES[transition.to] || !isCurrentTransition(transition, currentNow)) continue;
+        if (!EventPeeperSettings.isWatched(settings, transition.instance, transition.server_id, transition.type)) continue;
+        const server = transition.instance === 'test' ? t('testServer', transition.server_name) : transition.server_name;
+        showNotification('missions', [transition.instance, transition.server_id, transition.key, transition.to].join(':'),
+            t(TRANSITION_TITLES[transition.to], transition.mission_name, server), transitionMessage(transition));
+    }
+}
+function isWatchedServer(instance, serverId, type) { return EventPeeperSettings.isWatched(settings, instance, serverId, type); }
+function scheduleWebhooks(when) {
+    clearTimeout(webhookTimer);
+    if (when == null) { alarms?.clear(WEBHOOK_ALARM); return; }
+    const delay = when - Date.now();
+    if (delay < MIN_ALARM_DELAY_MS) webhookTimer = setTimeout(() => webhookDispatcher.drain(), Math.max(0, delay));
+    alarms?.create(WEBHOOK_ALARM, {when: Math.max(when, Date.now() + MIN_ALARM_DELAY_MS)});
+}
+function webhooks() { return (settings.webhooks || []).map(EventPeeperWebhooks.normalizeHook); }
+function forward(context) {
+    for (const hook of webhooks()) if (EventPeeperWebhooks.matches(hook, context, isWatchedServer)) webhookDispatcher.enqueue(hook, context);
+}
+function forwardTransitions(transitions) {
+    const currentNow = Math.floor(Date.now() / 1000);
+    for (const transition of transitions) {
+        if ((transition.to === 'announced' || transition.to === 'open') && isCurrentTransition(transition, currentNow)) forward(EventPeeperWebhooks.contextFromTransition(transition, currentNow));
+    }
+}
+function wantsPvpReminder(event) {
+    if (settings.notifications.enabled && isWatchedServer('prod', event.server_id, 'pvp')) return true;
+    const context = EventPeeperWebhooks.contextFromPvp(event);
+    return webhooks().some(hook => EventPeeperWebhooks.matches(hook, context, isWatchedServer));
+}
+function pvpAlarmName(event) { return PVP_ALARM_PREFIX + event.server_id + '|' + event.start_unix; }
+async function schedulePvpReminders() {
+    if (!alarms) return;
+    const lead = Math.max(0, Number(settings.notifications.pvpLeadMinutes) || 0) * 60_000, wanted = new Map();
+    for (const event of snapshot?.pvpEvents || []) {
+        const when = Number(event.start_unix) * 1000 - lead;
+        if (event.server_id != null && when > Date.now() && wantsPvpReminder(event)) wanted.set(pvpAlarmName(event), when);
+    }
+    try {
+        const existing = await alarms.getAll();
+        for (const alarm of existing) if (alarm.name.startsWith(PVP_ALARM_PREFIX) && !wanted.has(alarm.name)) alarms.clear(alarm.name);
+        for (const [name, when] of wanted) if (!existing.some(alarm => alarm.name === name && alarm.scheduledTime === when)) alarms.create(name, {when});
+    } catch (error) { console.error('Failed to schedule PvP reminders:', error); }
+}
+async function remindPvp(alarmName) {
+    await Promise.all([loadCache(), loadSettings(), loadReplay()]);
+    if (replayClock) return;
+    const [serverId, start] = alarmName.slice(PVP_ALARM_PREFIX.length).split('|');
+    const event = (snapshot?.pvpEvents || []).find(e => String(e.server_id) === serverId && String(e.start_unix) === start);
+    if (!event || Number(event.start_unix) * 1000 <= Date.now()) return;
+    if (isWatchedServer('prod', event.server_id, 'pvp')) showNotification('pvp', serverId + ':' + start, t('notifyPvpTitle', event.server_name), t('notifyPvpStartsIn', minutesUntil(event.start_unix)));
+    forward(EventPeeperWebhooks.contextFromPvp(event));
+}
+function openPopup(page) {
+    // Firefox only honours openPopup synchronously inside the click handler, so nothing is awaited first.
+    try { storage.session?.set({[ACTIVE_PAGE_KEY]: page}); } catch {}
+    let opened;
+    try { opened = action.openPopup(); } catch (error) { opened = Promise.reject(error); }
+    Promise.resolve(opened).catch(() => tabs.create({url: chrome.runtime.getURL('popup.html')}));
+}
+
+EventPeeperSettings.onChange(value => {
+    const sourceChanged = EventPeeperSettings.apiBase(value) !== EventPeeperSettings.apiBase(settings);
+    settings = value;
+    settingsLoaded = Promise.resolve(value);
+    ensureAlarms();
+    syncStream();
+    if (sourceChanged) {
+        // Bodies from the previous source must not be diffed against the new one.
+        endpointBodies = {servers: {}, missions: {}, pvp: {}};
+        endpointState = {servers: {}, missions: {}, pvp: {}};
+        snapshot = {loading: true, errors: {}};
+        refreshSnapshot();
+    } else {
+        loadCache().then(() => { schedulePvpReminders(); updateBadge(); });
+    }
+});
+alarms?.onAlarm.addListener(alarm => {
+    syncStream();
+    // While the stream is live it keeps the bodies current; alarm-driven fetches are only the fallback.
+    if (alarm.name === REFRESH_ALARM) { if (!isLive()) refreshSnapshot(); }
+    else if (alarm.name === POLL_ALARM) { if (!isLive()) refreshSnapshot(); }
+    else if (alarm.name === WEBHOOK_ALARM) webhookDispatcher.drain();
+    else if (alarm.name === BADGE_ALARM) Promise.all([loadCache(), loadSettings()]).then(updateBadge);
+    else if (alarm.name.startsWith(PVP_ALARM_PREFIX)) remindPvp(alarm.name);
+});
+chrome.runtime.onStartup?.addListener(() => { ensureAlarms(); refreshSnapshot(); });
+chrome.runtime.onInstalled?.addListener(() => { ensureAlarms(); refreshSnapshot(); loadRecordingIndex(); });
+notifications?.onClicked.addListener(id => {
+    if (!id.startsWith(NOTIFICATION_PREFIX)) return;
+    openPopup(id.slice(NOTIFICATION_PREFIX.length).split('|')[0]);
+    notifications.clear(id);
+});
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-    if (message?.type === 'event-peeper:get-version') { sendResponse({version: VERSION, apiUrl: API_BASE}); return false; }
+    if (message?.type === 'event-peeper:get-version') {
+        loadSettings().then(() => sendResponse({version: VERSION, apiUrl: EventPeeperSettings.apiBase(settings)}));
+        return true;
+    }
     if (message?.type === 'event-peeper:get-all') {
         loadCache().then(async () => {
             await saveCache();
-            sendResponse(snapshot || {loading: true, errors: {}});
+            sendResponse(await displayedSnapshot() || {loading: true, errors: {}});
             await refreshSnapshot();
         });
         return true;
     }
-    if (message?.type === 'event-peeper:refresh-all') { refreshSnapshot({forced: true}).then(sendResponse); return true; }
+    if (message?.type === 'event-peeper:test-webhook') {
+        webhookDispatcher.send(EventPeeperWebhooks.normalizeHook(message.hook), EventPeeperWebhooks.testContext()).then(sendResponse);
+        return true;
+    }
+    if (message?.type === 'event-peeper:get-diagnostics') {
+        loadCache().then(() => sendResponse({schemaVersion: EventPeeperV2.SCHEMA_VERSION, warnings: snapshot?.warnings || [], endpoints: endpointState, bodies: endpointBodies}));
+        return true;
+    }
+    if (message?.type === 'event-peeper:get-history') { loadHistory().then(sendResponse); return true; }
+    if (message?.type === 'event-peeper:clear-history') { missionHistory = []; saveHistory().then(() => sendResponse([])); return true; }
+    if (message?.type === 'event-peeper:refresh-all') { refreshSnapshot({manual: true}).then(displayedSnapshot).then(sendResponse); return true; }
+    if (message?.type === 'event-peeper:recordings') { manageRecordings(message).then(sendResponse); return true; }
+    if (message?.type === 'event-peeper:replay') { controlReplay(message).then(sendResponse); return true; }
 });
+syncStream();
+replayStep();
+webhookDispatcher.drain();
@@ -0,0 +1,85 @@
+(function (root, factory) {
+    const commonjs = typeof module !== 'undefined' && module.exports;
+    const api = factory(commonjs ? require('./v2-model.js') : root.EventPeeperV2);
+    if (commonjs) module.exports = api;
+    root.EventPeeperCalendar = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (model) {
+    const PVP_WINDOW_SECONDS = 5 * 60;
+    const UID_DOMAIN = 'eventpeeper.certainhuman.com';
+    // Text comes from _locales; outside the extension the key itself stands in.
+    function message(key, ...substitutions) { return globalThis.chrome?.i18n?.getMessage(key, substitutions.map(String)) || key; }
+    function escapeText(value) { return String(value ?? '').replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n'); }
+    function uidPart(value) { return String(value ?? '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'x'; }
+    function formatDate(seconds) { return new Date(Number(seconds) * 1000).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, ''); }
+    // RFC 5545 caps content lines at 75 octets; continuation lines start with a space.
+    function fold(line) {
+        const encoder = new TextEncoder(), parts = [];
+        let current = '', size = 0;
+        for (const char of line) {
+            const bytes = encoder.encode(char).length;
+            if (size + bytes > 75) { parts.push(current); current = ' '; size = 1; }
+            current += char; size += bytes;
+        }
+        parts.push(current);
+        return parts.join('\r\n');
+    }
+    function pvpEvents(snapshot, now) {
+        return (snapshot?.pvpEvents || []).filter(event => Number(event.start_unix) + PVP_WINDOW_SECONDS >= now).map(event => {
+            const server = event.server_name || message('serverOption', event.server_option_id), start = Number(event.start_unix);
+            return {
+                uid: 'pvp-' + uidPart(event.server_id ?? 'option-' + event.server_option_id) + '-' + start, start, end: start + PVP_WINDOW_SECONDS,
+                summary: message('calendarPvpSummary', server), description: message('calendarPvpDescription', server)
+            };
+        });
+    }
+    function missionEvents(snapshot, now) {
+        const events = [];
+        for (const state of model.serverStates(snapshot, now)) {
+            const server = state.instance === 'test' ? message('testServer', state.server.name) : state.server.name;
+            const prefix = uidPart(state.instance) + '-' + uidPart(state.server.server_id);
+            for (const mission of (state.missionServer.missions || []).filter(mission => mission?.status === 'announced')) {
+                const start = Number(mission.open_time_unix), close = Number(mission.close_time_unix);
+                if (!(start > 0)) continue;
+                const name = mission.mission_name || message('mission');
+                events.push({
+                    uid: 'mission-' + prefix + '-' + uidPart(model.missionKey(mission)), start, end: close > start ? close : start + PVP_WINDOW_SECONDS,
+                    summary: message('calendarMissionSummary', name, server), description: message('calendarMissionDescription', name, server)
+                });
+            }
+            const prediction = snapshot?.predictions?.[state.instance + ':' + state.server.server_id];
+            if (!state.selection.current && !state.target && prediction?.announceTime > now) {
+                const label = model.MISSION_TYPES.includes(prediction.type) ? message('type_' + prediction.type) : message('mission');
+                // One UID per server, so each export moves the same estimate instead of adding another.
+                events.push({
+                    uid: 'predicted-' + prefix, start: prediction.time, end: prediction.time + PVP_WINDOW_SECONDS,
+                    summary: message('calendarPredictedSummary', label, server), description: message('calendarPredictedDescription', message('confidence_' + prediction.confidence))
+                });
+            }
+        }
+        return events;
+    }
+    function buildCalendar(events, {now = Math.floor(Date.now() / 1000), reminderMinutes = null} = {}) {
+        const lines = ['BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//certainhuman//Event Peeper//EN', 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH', 'X-WR-CALNAME:' + escapeText(message('extName'))];
+        for (const event of events) {
+            lines.push('BEGIN:VEVENT', 'UID:' + event.uid + '@' + UID_DOMAIN, 'DTSTAMP:' + formatDate(now),
+                // Minutes since the epoch only ever grow, so calendars accept a re-import as a newer revision.
+                'SEQUENCE:' + Math.floor(now / 60), 'DTSTART:' + formatDate(event.start), 'DTEND:' + formatDate(event.end),
+                'SUMMARY:' + escapeText(event.summary), 'DESCRIPTION:' + escapeText(event.description));
+            if (reminderMinutes != null) {
+                lines.push('BEGIN:VALARM', 'ACTION:DISPLAY', 'DESCRIPTION:' + escapeText(event.summary), 'TRIGGER:-PT' + Math.max(0, Math.round(reminderMinutes)) + 'M', 'END:VALARM');
+            }
+            lines.push('END:VEVENT');
+        }
+        lines.push('END:VCALENDAR');
+        return lines.map(fold).join('\r\n') + '\r\n';
+    }
+    function scheduleCalendar(snapshot, options = {}) {
+        const now = options.now ?? Math.floor(Date.now() / 1000);
+        return buildCalendar(pvpEvents(snapshot, now).concat(missionEvents(snapshot, now)).sort((a, b) => a.start - b.start), {...options, now});
+    }
+    function reminderCalendar(pvpEvent, reminderMinutes, options = {}) {
+        const now = options.now ?? Math.floor(Date.now() / 1000);
+        return buildCalendar(pvpEvents({pvpEvents: [pvpEvent]}, now), {...options, now, reminderMinutes});
+    }
+    return {PVP_WINDOW_SECONDS, scheduleCalendar, reminderCalendar};
+});
@@ -0,0 +1,116 @@
+(function (root, factory) {
+    const commonjs = typeof module !== 'undefined' && module.exports;
+    const api = factory(commonjs ? require('./v2-model.js') : root.EventPeeperV2);
+    if (commonjs) module.exports = api;
+    root.EventPeeperHistory = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this, function (model) {
+    const HISTORY_KEY = 'event-peeper:history';
+    const MAX_ENTRIES = 2000;
+    const CONFIDENCE = ['low', 'medium', 'high'];
+    // Gaps longer than this are time the extension was not watching, not a spawn interval.
+    const MAX_INTERVAL_SECONDS = 6 * 3600;
+    function entryFromTransition(transition) {
+        const mission = transition.mission || {};
+        return {
+            at: transition.at, instance: transition.instance, server_id: transition.server_id, server_name: transition.server_name,
+            key: transition.key, mission_name: transition.mission_name, type: transition.type, from: transition.from, to: transition.to,
+            open_time_unix: Number(mission.open_time_unix) || null, close_time_unix: Number(mission.close_time_unix) || null
+        };
+    }
+    function append(entries, transitions, limit = MAX_ENTRIES) {
+        const next = (Array.isArray(entries) ? entries : []).concat(transitions.map(entryFromTransition));
+        return next.length > limit ? next.slice(next.length - limit) : next;
+    }
+    function average(values) { return values.length ? values.reduce((sum, value) => sum + value, 0) / values.length : null; }
+    function summarize(missions) {
+        const opens = missions.map(mission => mission.openTime).filter(Boolean).sort((a, b) => a - b);
+        const intervals = opens.slice(1).map((value, index) => value - opens[index]).filter(value => value > 0);
+        const durations = missions.map(mission => mission.duration).filter(value => value > 0);
+        return {spawns: missions.length, averageIntervalSeconds: average(intervals), averageOpenSeconds: average(durations), lastOpenUnix: opens[opens.length - 1] || null};
+    }
+    // Folds transitions back into one record per mission, so a mission seen announced, open and closed counts once.
+    function missionsFrom(entries) {
+        const missions = new Map();
+        for (const entry of entries || []) {
+            const id = [entry.instance, entry.server_id, entry.key].join('|');
+            const mission = missions.get(id) || {instance: entry.instance, server_id: entry.server_id, server_name: entry.server_name, type: entry.type || 'other', openTime: null, openedAt: null, duration: null, endedAt: null};
+            mission.server_name = entry.server_name || mission.server_name;
+            mission.openTime = entry.open_time_unix || mission.openTime;
+            if (entry.to === 'open') mission.openedAt = entry.at;
+            if ((entry.to === 'closed' || entry.to === 'concluded') && mission.duration == null) {
+                if (entry.close_time_unix && entry.open_time_unix) mission.duration = entry.close_time_unix - entry.open_time_unix;
+                else if (mission.openedAt) mission.duration = entry.at - mission.openedAt;
+            }
+            if (entry.to === 'concluded') mission.endedAt = entry.at;
+            else if (entry.to === 'closed' && entry.close_time_unix) mission.endedAt = entry.close_time_unix + model.CLOSED_DURATION_SECONDS;
+            missions.set(id, mission);
+        }
+        return [...missions.values()];
+    }
+    function statistics(entries) {
+        const missions = missionsFrom(entries), servers = new Map(), types = new Map();
+        for (const mission of missions) {
+            const serverId = [mission.instance, mission.server_id, mission.type].join('|');
+            if (!servers.has(serverId)) servers.set(serverId, {instance: mission.instance, server_id: mission.server_id, server_name: mission.server_name, type: mission.type, missions: []});
+            servers.get(serverId).missions.push(mission);
+            if (!types.has(mission.type)) types.set(mission.type, {type: mission.type, missions: []});
+            types.get(mission.type).missions.push(mission);
+        }
+        const finish = group => { const {missions: grouped, ...rest} = group; return {...rest, ...summarize(grouped)}; };
+        return {
+            since: entries?.length ? entries[0].at : null,
+            servers: [...servers.values()].map(finish).sort((a, b) => a.instance.localeCompare(b.instance) || String(a.server_name).localeCompare(String(b.server_name)) || a.type.localeCompare(b.type)),
+            types: [...types.values()].map(finish).sort((a, b) => b.spawns - a.spawns)
+        };
+    }
+    function median(values) {
+        const sorted = values.slice().sort((a, b) => a - b), middle = Math.floor(sorted.length / 2);
+        return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+    }
+    function likelyNextType(missions) {
+        const successors = {}, totals = {};
+        missions.forEach((mission, index) => {
+            totals[mission.type] = (totals[mission.type] || 0) + 1;
+            const next = missions[index + 1];
+            if (next) (successors[mission.type] ||= {})[next.type] = (successors[mission.type][next.type] || 0) + 1;
+        });
+        const counts = successors[missions[missions.length - 1]?.type] || totals;
+        return Object.keys(counts).sort((a, b) => counts[b] - counts[a])[0] || null;
+    }
+    function predictNextOpen(entries, instance, serverId, now = Math.floor(Date.now() / 1000)) {
+        const missions = missionsFrom(entries).filter(mission => mission.instance === instance && String(mission.server_id) === String(serverId))
+            .sort((a, b) => (a.openTime || a.endedAt || 0) - (b.openTime || b.endedAt || 0));
+        if (!missions.length) return null;
+        const type = likelyNextType(missions);
+        const opens = [...new Set(missions.map(mission => mission.openTime).filter(Boolean))];
+        const intervals = opens.slice(1).map((value, index) => value - opens[index]).filter(value => value > 0 && value <= MAX_INTERVAL_SECONDS);
+        if (intervals.length >= 2) {
+            const typical = median(intervals), spread = median(intervals.map(value => Math.abs(value - typical))) / typical;
+            // Counted to the first cycle whose announce is still ahead, so one whose announce just passed rolls over to the next.
+            const last = opens[opens.length - 1], steps = Math.max(1, Math.floor((now + model.ANNOUNCE_LEAD_SECONDS - last) / typical) + 1);
+            // Every cycle that passed without a spawn makes the estimate less trustworthy.
+            const level = Math.max(0, (spread < 0.1 && intervals.length >= 4 ? 2 : spread < 0.25 ? 1 : 0) - (steps - 1));
+            return prediction(Math.round(last + steps * typical), type, CONFIDENCE[level], 'history', intervals.length, now);
+        }
+        // Too few spawns seen, so fall back to the game's fixed quiet window after the last mission ended.
+        const ended = Math.max(...missions.map(mission => mission.endedAt || 0));
+        const time = ended + (model.INACTIVE_WINDOW_SECONDS[instance] || model.INACTIVE_WINDOW_SECONDS.prod) + model.ANNOUNCE_LEAD_SECONDS;
+        return ended ? prediction(time, type, 'low', 'cadence', intervals.length, now) : null;
+    }
+    // time is the expected open; announceTime lines up with the announce targets the API gives, and a prediction is dropped once it passes.
+    function prediction(time, type, confidence, source, samples, now) {
+        const announceTime = time - model.ANNOUNCE_LEAD_SECONDS;
+        return announceTime > now ? {time, announceTime, type, confidence, source, samples} : null;
+    }
+    function predictions(entries, snapshot, now = Math.floor(Date.now() / 1000)) {
+        const result = {};
+        for (const instance of model.INSTANCES) {
+            for (const server of snapshot?.servers?.[instance] || []) {
+                const prediction = predictNextOpen(entries, instance, server.server_id, now);
+                if (prediction) result[instance + ':' + server.server_id] = prediction;
+            }
+        }
+        return result;
+    }
+    return {HISTORY_KEY, MAX_ENTRIES, entryFromTransition, append, statistics, predictNextOpen, predictions};
+});
@@ -0,0 +1,375 @@
+const model = globalThis.EventPeeperV2;
+const preferences = globalThis.EventPeeperSettings;
+const webhooks = globalThis.EventPeeperWebhooks;
+const MAX_RECORDING_BYTES = globalThis.EventPeeperReplay.MAX_BYTES;
+const STOP_REASONS = ['size', 'storage', 'frames'];
+const WATCH_COLUMNS = [...model.MISSION_TYPES, 'pvp'];
+const FORMAT_LABELS = {discord: 'Discord', slack: 'Slack', json: 'JSON'};
+const permissions = typeof browser !== 'undefined' ? browser.permissions : chrome.permissions;
+const i18n = typeof browser !== 'undefined' ? browser.i18n : chrome.i18n;
+// Numbers and units follow the browser's UI language, the same one that picks the _locales folder.
+const LOCALE = i18n?.getUILanguage?.() || navigator.language;
+const elems = {
+    apiBase: document.getElementById('apiBase'), apiSave: document.getElementById('apiSave'), apiReset: document.getElementById('apiReset'),
+    streamEnabled: document.getElementById('streamEnabled'), streamProtocol: document.getElementById('streamProtocol'), streamUrl: document.getElementById('streamUrl'), streamSave: document.getElementById('streamSave'),
+    hideTest: document.getElementById('hideTest'), clock: document.getElementById('clock'), times: document.getElementById('times'), motion: document.getElementById('motion'), pollMinutes: document.getElementById('pollMinutes'),
+    status: document.getElementById('status'), notificationsEnabled: document.getElementById('notificationsEnabled'), pvpLeadMinutes: document.getElementById('pvpLeadMinutes'),
+    quietHoursEnabled: document.getElementById('quietHoursEnabled'), quietHoursStart: document.getElementById('quietHoursStart'), quietHoursEnd: document.getElementById('quietHoursEnd'),
+    badgeMode: document.getElementById('badgeMode'), badgeServer: document.getElementById('badgeServer'), watchHead: document.getElementById('watchHead'), watchRows: document.getElementById('watchRows'),
+    webhookList: document.getElementById('webhookList'), addWebhook: document.getElementById('addWebhook'),
+    recordToggle: document.getElementById('recordToggle'), recordState: document.getElementById('recordState'), recordingRows: document.getElementById('recordingRows'),
+    recordingImportBtn: document.getElementById('recordingImportBtn'), recordingImport: document.getElementById('recordingImport'),
+    settingsExportBtn: document.getElementById('settingsExportBtn'), settingsImportBtn: document.getElementById('settingsImportBtn'), settingsImport: document.getElementById('settingsImport')
+};
+let settings = preferences.normalize({});
+let snapshot = {servers: {prod: [], test: []}};
+let statusTimer = null;
+let recordingState = {recording: false, recordings: [], replay: null};
+
+function t(key, ...substitutions) {
+    return i18n?.getMessage(key, substitutions.map(value => typeof value === 'number' ? new Intl.NumberFormat(LOCALE).format(value) : String(value))) || key;
+}
+function plural(key, count, ...rest) {
+    const substitutions = [count, ...rest].map(value => typeof value === 'number' ? new Intl.NumberFormat(LOCALE).format(value) : String(value));
+    return i18n?.getMessage(key + '_' + new Intl.PluralRules(LOCALE).select(count), substitutions) || t(key + '_other', count, ...rest);
+}
+function localizePage() {
+    document.documentElement.lang = LOCALE;
+    document.documentElement.dir = i18n?.getMessage('@@bidi_dir') || 'ltr';
+    document.querySelectorAll('[data-i18n]').forEach(element => { element.textContent = t(element.dataset.i18n); });
+    for (const attribute of ['placeholder', 'aria-label']) {
+        document.querySelectorAll('[data-i18n-' + attribute + ']').forEach(element => element.setAttribute(attribute, t(element.getAttribute('data-i18n-' + attribute))));
+    }
+}
+function clear(element) { while (element?.firstChild) element.removeChild(element.firstChild); }
+function showStatus(text, error = false) {
+    elems.status.textContent = text;
+    elems.status.classList.toggle('error', error);
+    elems.status.classList.add('visible');
+    clearTimeout(statusTimer);
+    statusTimer = setTimeout(() => elems.status.classList.remove('visible'), 1500);
+}
+async function persist() {
+    try { settings = await preferences.save(settings); showStatus(t('optionsSaved')); }
+    catch (error) { showStatus(t('optionsSaveFailed', error.message || error), true); }
+}
+function getSnapshot() { return new Promise(resolve => chrome.runtime.sendMessage({type: 'event-peeper:get-all'}, resolve)); }
+function fillForm() {
+    const notifications = settings.notifications;
+    elems.apiBase.value = preferences.apiBase(settings);
+    elems.streamEnabled.checked = settings.stream.enabled;
+    elems.streamProtocol.value = settings.stream.protocol;
+    elems.streamUrl.value = settings.stream.url;
+    elems.hideTest.checked = settings.display.hiddenInstances.includes('test');
+    elems.clock.value = settings.display.clock;
+    elems.times.value = settings.display.times;
+    elems.motion.value = settings.display.motion;
+    elems.pollMinutes.value = String(settings.refresh.pollMinutes);
+    elems.notificationsEnabled.checked = notifications.enabled;
+    elems.pvpLeadMinutes.value = String(notifications.pvpLeadMinutes);
+    elems.quietHoursEnabled.checked = notifications.quietHours.enabled;
+    elems.quietHoursStart.value = notifications.quietHours.start;
+    elems.quietHoursEnd.value = notifications.quietHours.end;
+    elems.badgeMode.value = settings.badge.mode;
+    elems.badgeServer.disabled = settings.badge.mode !== 'countdown';
+}
+function renderBadgeServers() {
+    clear(elems.badgeServer);
+    const none = document.createElement('option'); none.value = ''; none.textContent = '—'; elems.badgeServer.append(none);
+    for (const instance of model.INSTANCES) {
+        for (const server of snapshot.servers?.[instance] || []) {
+            const option = document.createElement('option');
+            option.value = preferences.serverKey(instance, server.server_id);
+            option.textContent = instance === 'test' ? t('testServer', server.name) : server.name;
+            elems.badgeServer.append(option);
+        }
+    }
+    if (settings.badge.server && ![...elems.badgeServer.options].some(option => option.value === settings.badge.server)) {
+        const missing = document.createElement('option'); missing.value = settings.badge.server; missing.textContent = t('optionsServerInactive', settings.badge.server);
+        elems.badgeServer.append(missing);
+    }
+    elems.badgeServer.value = settings.badge.server;
+}
+// Only call from a click handler before anything else is awaited; browsers refuse permission prompts outside a user gesture.
+async function requestAccess(url) {
+    let granted = false;
+    try { granted = await permissions.request({origins: [preferences.originPattern(url)]}); }
+    catch (error) { console.error('Permission request failed:', error); }
+    if (!granted) showStatus(t('optionsAccessDenied', new URL(url).hostname), true);
+    return granted;
+}
+async function saveApiBase() {
+    const base = preferences.normalizeApiBase(elems.apiBase.value);
+    if (!base) { showStatus(t('optionsEnterHttpUrl'), true); return; }
+    if (base !== preferences.DEFAULT_API_BASE && !await requestAccess(base)) return;
+    settings.api.base = base;
+    elems.apiBase.value = base;
+    await persist();
+}
+async function saveStreamUrl() {
+    const text = elems.streamUrl.value.trim();
+    if (text) {
+        let url;
+        try { url = new URL(text); } catch { showStatus(t('optionsEnterUrlOrEmpty'), true); return; }
+        // WebSockets are not bound by host permissions; an SSE fetch is.
+        if (url.protocol.startsWith('http') && !await requestAccess(url.href)) return;
+    }
+    settings.stream.url = text;
+    await persist();
+}
+function toggleList(list, value, included) {
+    const index = list.indexOf(value);
+    if (included && index === -1) list.push(value);
+    if (!included && index !== -1) list.splice(index, 1);
+}
+function toggleWatch(key, type, watched) {
+    const types = new Set(settings.notifications.watch[key] || []);
+    if (watched) types.add(type); else types.delete(type);
+    if (types.size) settings.notifications.watch[key] = [...types]; else delete settings.notifications.watch[key];
+    persist();
+}
+function renderWatchList() {
+    clear(elems.watchRows);
+    while (elems.watchHead.children.length > 1) elems.watchHead.lastChild.remove();
+    for (const label of [t('optionsColumnShown'), ...WATCH_COLUMNS.map(column => t('type_' + column))]) {
+        const th = document.createElement('th'); th.textContent = label; elems.watchHead.append(th);
+    }
+    for (const instance of model.INSTANCES) {
+        const servers = snapshot.servers?.[instance] || [];
+        if (!servers.length) continue;
+        const separator = document.createElement('tr'); separator.className = 'instance-row';
+        const separatorCell = document.createElement('td'); separatorCell.colSpan = WATCH_COLUMNS.length + 2;
+        separatorCell.textContent = t(instance === 'test' ? 'groupTest' : 'groupProduction');
+        separator.append(separatorCell); elems.watchRows.append(separator);
+        for (const server of servers) {
+            const key = preferences.serverKey(instance, server.server_id), row = document.createElement('tr');
+            const name = document.createElement('td'); name.textContent = server.name; row.append(name);
+            const shownCell = document.createElement('td'), shown = document.createElement('input'); shown.type = 'checkbox';
+            shown.checked = !settings.display.hiddenServers.includes(key);
+            shown.setAttribute('aria-label', t('optionsShowServer', server.name));
+            shown.addEventListener('change', () => { toggleList(settings.display.hiddenServers, key, !shown.checked); persist(); });
+            shownCell.append(shown); row.append(shownCell);
+            for (const column of WATCH_COLUMNS) {
+                const cell = document.createElement('td');
+                // PvP events are only scheduled on production servers.
+                if (column !== 'pvp' || instance === 'prod') {
+                    const box = document.createElement('input'); box.type = 'checkbox';
+                    box.checked = preferences.isWatched(settings, instance, server.server_id, column);
+                    box.setAttribute('aria-label', t('optionsWatchType', t('type_' + column), server.name));
+                    box.addEventListener('change', () => toggleWatch(key, column, box.checked));
+                    cell.append(box);
+                }
+                row.append(cell);
+            }
+            elems.watchRows.append(row);
+        }
+    }
+    if (!elems.watchRows.children.length) {
+        const row = document.createElement('tr'), cell = document.createElement('td');
+        cell.colSpan = WATCH_COLUMNS.length + 2; cell.className = 'muted'; cell.textContent = t('optionsNoServers');
+        row.append(cell); elems.watchRows.append(row);
+    }
+}
+function httpUrl(text) {
+    try {
+        const url = new URL(String(text || '').trim());
+        return url.protocol === 'https:' || url.protocol === 'http:' ? url.href : null;
+    } catch { return null; }
+}
+function updateHook(id, changes) {
+    settings.webhooks = settings.webhooks.map(hook => hook.id === id ? {...webhooks.normalizeHook(hook), ...changes} : hook);
+    persist();
+}
+function field(...children) { const label = document.createElement('label'); label.className = 'field'; label.append(...children); return label; }
+function select(options, value, onChange) {
+    const element = document.createElement('select');
+    for (const [optionValue, text] of Object.entries(options)) { const option = document.createElement('option'); option.value = optionValue; option.textContent = text; element.append(option); }
+    element.value = value;
+    element.addEventListener('change', () => onChange(element.value));
+    return element;
+}
+function button(text, onClick) { const element = document.createElement('button'); element.type = 'button'; element.textContent = text; element.addEventListener('click', onClick); return element; }
+function createWebhookEditor(hook) {
+    const wrap = document.createElement('div'); wrap.className = 'webhook';
+    const enabled = document.createElement('input'); enabled.type = 'checkbox'; enabled.checked = hook.enabled; enabled.setAttribute('aria-label', t('optionsWebhookEnabled'));
+    enabled.addEventListener('change', () => updateHook(hook.id, {enabled: enabled.checked}));
+    const name = document.createElement('input'); name.type = 'text'; name.placeholder = t('optionsWebhookName'); name.value = hook.name;
+    name.addEventListener('change', () => updateHook(hook.id, {name: name.value.trim()}));
+    const format = select(FORMAT_LABELS, hook.format, value => updateHook(hook.id, {format: value}));
+    const remove = button(t('optionsRemove'), () => { settings.webhooks = settings.webhooks.filter(entry => entry.id !== hook.id); persist(); renderWebhooks(); });
+    const url = document.createElement('input'); url.type = 'url'; url.placeholder = 'https://discord.com/api/webhooks/…'; url.value = hook.url; url.setAttribute('aria-label', t('optionsWebhookUrl'));
+    const saveUrl = button(t('optionsSaveUrl'), async () => {
+        const value = httpUrl(url.value);
+        if (!value) { showStatus(t('optionsEnterHttpUrl'), true); return; }
+        if (await requestAccess(value)) updateHook(hook.id, {url: value});
+    });
+    const events = webhooks.EVENTS.map(event => {
+        const box = document.createElement('input'); box.type = 'checkbox'; box.checked = hook.events.includes(event);
+        box.addEventListener('change', () => {
+            const current = webhooks.normalizeHook(settings.webhooks.find(entry => entry.id === hook.id)).events.filter(entry => entry !== event);
+            updateHook(hook.id, {events: box.checked ? current.concat(event) : current});
+        });
+        return field(box, t('webhookEvent_' + event));
+    });
+    const servers = select({watched: t('optionsWebhookWatched'), all: t('optionsWebhookAll')}, hook.servers, value => updateHook(hook.id, {servers: value}));
+    const perMinute = document.createElement('input'); perMinute.type = 'number'; perMinute.min = '1'; perMinute.max = '60'; perMinute.value = String(hook.perMinute);
+    perMinute.addEventListener('change', () => { const value = webhooks.normalizeHook({perMinute: perMinute.value}).perMinute; perMinute.value = String(value); updateHook(hook.id, {perMinute: value}); });
+    const template = document.createElement('textarea'); template.rows = 2; template.value = hook.template; template.setAttribute('aria-label', t('optionsWebhookTemplate'));
+    template.addEventListener('change', () => updateHook(hook.id, {template: template.value}));
+    const result = document.createElement('span'); result.className = 'webhook-result';
+    const test = button(t('optionsWebhookTest'), async () => {
+        const current = webhooks.normalizeHook(settings.webhooks.find(entry => entry.id === hook.id));
+        if (!current.url) { result.className = 'webhook-result error'; result.textContent = t('optionsWebhookNoUrl'); return; }
+        if (!await requestAccess(current.url)) return;
+        result.className = 'webhook-result'; result.textContent = t('optionsWebhookSending');
+        chrome.runtime.sendMessage({type: 'event-peeper:test-webhook', hook: current}, response => {
+            result.className = 'webhook-result ' + (response?.ok ? 'ok' : 'error');
+            result.textContent = response?.ok ? t('optionsWebhookDelivered', response.status) : t('optionsWebhookFailed', response?.error || t('optionsWebhookNoResponse'));
+        });
+    });
+    const header = document.createElement('div'); header.className = 'field'; header.append(enabled, name, format, remove);
+    const target = document.createElement('div'); target.className = 'field'; target.append(url, saveUrl);
+    const filters = document.createElement('div'); filters.className = 'field'; filters.append(...events, t('optionsWebhookOn'), servers);
+    wrap.append(header, target, filters, field(t('optionsWebhookAtMost'), perMinute, t('optionsWebhookPerMinute')), template);
+    const actions = document.createElement('div'); actions.className = 'field'; actions.append(test, result); wrap.append(actions);
+    return wrap;
+}
+function renderWebhooks() {
+    clear(elems.webhookList);
+    for (const hook of settings.webhooks.map(webhooks.normalizeHook)) elems.webhookList.append(createWebhookEditor(hook));
+    if (!settings.webhooks.length) { const empty = document.createElement('p'); empty.className = 'hint'; empty.textContent = t('optionsNoWebhooks'); elems.webhookList.append(empty); }
+}
+function manageRecordings(message) { return new Promise(resolve => chrome.runtime.sendMessage({type: 'event-peeper:recordings', ...message}, resolve)); }
+function formatUnit(value, unit, options = {}) { return new Intl.NumberFormat(LOCALE, {style: 'unit', unit, unitDisplay: 'narrow', ...options}).format(value); }
+function formatLength(seconds) {
+    const minutes = Math.round(seconds / 60);
+    return minutes >= 60 ? formatUnit(Math.floor(minutes / 60), 'hour') + ' ' + formatUnit(minutes % 60, 'minute') : formatUnit(minutes, 'minute');
+}
+function formatMegabytes(bytes) { return formatUnit(bytes / 1024 / 1024, 'megabyte', {unitDisplay: 'short', minimumFractionDigits: 1, maximumFractionDigits: 1}); }
+async function updateRecordings(message) {
+    const result = await manageRecordings(message);
+    if (!result) return null;
+    recordingState = result;
+    if (result.error) showStatus(result.error, true);
+    renderRecordings();
+    return result;
+}
+async function exportRecording(id) {
+    const result = await manageRecordings({action: 'export', id});
+    if (!result?.recording) { showStatus(t('optionsRecordingNotFound'), true); return; }
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([JSON.stringify(result.recording)], {type: 'application/json'}));
+    link.download = 'event-peeper-' + result.recording.name.toLowerCase().replace(/[^a-z0-9]+/g, '-') + '.json';
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+function renderRecordings() {
+    const {recording, recordings, replay} = recordingState;
+    elems.recordToggle.textContent = t(recording ? 'optionsStopRecording' : 'optionsStartRecording');
+    const active = recordings.find(entry => entry.endedAt == null), last = recordings[recordings.length - 1];
+    const used = t('optionsRecordingUsed', formatMegabytes(recordings.reduce((sum, entry) => sum + entry.bytes, 0)), formatMegabytes(MAX_RECORDING_BYTES));
+    elems.recordState.textContent = active ? plural('optionsRecordingActive', active.frames, used)
+        : replay ? t('optionsReplayingInPopup', replay.name) : STOP_REASONS.includes(last?.stopReason) ? t('recordingStopped_' + last.stopReason, last.name) : '';
+    elems.recordState.classList.toggle('error', !active && !replay && (last?.stopReason === 'size' || last?.stopReason === 'storage'));
+    clear(elems.recordingRows);
+    for (const entry of recordings.slice().reverse()) {
+        const row = document.createElement('tr');
+        const name = document.createElement('td'); name.textContent = entry.name;
+        const length = document.createElement('td'); length.textContent = formatLength(entry.duration);
+        const frames = document.createElement('td'); frames.textContent = new Intl.NumberFormat(LOCALE).format(entry.frames);
+        const actions = document.createElement('td'), wrap = document.createElement('div'); wrap.className = 'recording-actions';
+        const replaying = replay?.id === entry.id;
+        wrap.append(
+            button(t(replaying ? 'optionsStopReplay' : 'optionsReplay'), () => chrome.runtime.sendMessage({type: 'event-peeper:replay', action: replaying ? 'stop' : 'start', id: entry.id}, () => {
+                if (!replaying) showStatus(t('optionsReplayStarted'));
+                updateRecordings({action: 'list'});
+            })),
+            button(t('optionsExport'), () => exportRecording(entry.id)),
+            button(t('optionsDelete'), () => updateRecordings({action: 'delete', id: entry.id}))
+        );
+        actions.append(wrap);
+        row.append(name, length, frames, actions);
+        elems.recordingRows.append(row);
+    }
+    if (!recordings.length) {
+        const row = document.createElement('tr'), cell = document.createElement('td');
+        cell.colSpan = 4; cell.className = 'muted'; cell.textContent = t('optionsNoRecordings');
+        row.append(cell); elems.recordingRows.append(row);
+    }
+}
+async function importRecording() {
+    const file = elems.recordingImport.files?.[0];
+    elems.recordingImport.value = '';
+    if (!file) return;
+    let recording;
+    try { recording = JSON.parse(await file.text()); } catch { showStatus(t('importNotJson'), true); return; }
+    if (await updateRecordings({action: 'import', recording}) && !recordingState.error) showStatus(t('optionsImported'));
+}
+function exportSettings() {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(new Blob([preferences.exportSettings(settings)], {type: 'application/json'}));
+    link.download = 'event-peeper-settings.json';
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 1000);
+}
+async function importSettings() {
+    const file = elems.settingsImport.files?.[0];
+    elems.settingsImport.value = '';
+    if (!file) return;
+    try { settings = preferences.importSettings(await file.text(), settings); }
+    catch (error) { showStatus(error.message, true); return; }
+    fillForm();
+    renderBadgeServers();
+    renderWatchList();
+    await persist();
+    checkAccess();
+}
+// Host access is granted per browser and only from a click, so a mirror that arrived by sync or import still needs Save pressed here.
+async function checkAccess() {
+    const base = preferences.apiBase(settings);
+    if (base === preferences.DEFAULT_API_BASE || await permissions.contains({origins: [preferences.originPattern(base)]})) return;
+    showStatus(t('optionsGrantAccess', new URL(base).hostname), true);
+}
+async function initialize() {
+    localizePage();
+    settings = await preferences.load();
+    fillForm();
+    checkAccess();
+    renderWebhooks();
+    const cached = await getSnapshot(); if (cached?.servers) snapshot = cached;
+    renderBadgeServers();
+    renderWatchList();
+    updateRecordings({action: 'list'});
+}
+elems.apiSave.addEventListener('click', saveApiBase);
+elems.apiBase.addEventListener('keydown', event => { if (event.key === 'Enter') saveApiBase(); });
+elems.apiReset.addEventListener('click', () => { settings.api.base = preferences.DEFAULT_API_BASE; elems.apiBase.value = settings.api.base; persist(); });
+elems.streamEnabled.addEventListener('change', () => { settings.stream.enabled = elems.streamEnabled.checked; persist(); });
+elems.streamProtocol.addEventListener('change', () => { settings.stream.protocol = elems.streamProtocol.value; persist(); });
+elems.streamSave.addEventListener('click', saveStreamUrl);
+elems.hideTest.addEventListener('change', () => { toggleList(settings.display.hiddenInstances, 'test', elems.hideTest.checked); persist(); });
+elems.clock.addEventListener('change', () => { settings.display.clock = elems.clock.value; persist(); });
+elems.times.addEventListener('change', () => { settings.display.times = elems.times.value; persist(); });
+elems.motion.addEventListener('change', () => { settings.display.motion = elems.motion.value; persist(); });
+elems.pollMinutes.addEventListener('change', () => {
+    settings.refresh.pollMinutes = Math.max(1, Math.min(60, Math.round(Number(elems.pollMinutes.value) || 5)));
+    elems.pollMinutes.value = String(settings.refresh.pollMinutes); persist();
+});
+elems.addWebhook.addEventListener('click', () => { settings.webhooks = settings.webhooks.concat(webhooks.createHook()); persist(); renderWebhooks(); });
+elems.notificationsEnabled.addEventListener('change', () => { settings.notifications.enabled = elems.notificationsEnabled.checked; persist(); });
+elems.pvpLeadMinutes.addEventListener('change', () => {
+    settings.notifications.pvpLeadMinutes = Math.max(0, Math.min(120, Math.round(Number(elems.pvpLeadMinutes.value) || 0)));
+    elems.pvpLeadMinutes.value = String(settings.notifications.pvpLeadMinutes); persist();
+});
+elems.quietHoursEnabled.addEventListener('change', () => { settings.notifications.quietHours.enabled = elems.quietHoursEnabled.checked; persist(); });
+elems.quietHoursStart.addEventListener('change', () => { settings.notifications.quietHours.start = elems.quietHoursStart.value; persist(); });
+elems.quietHoursEnd.addEventListener('change', () => { settings.notifications.quietHours.end = elems.quietHoursEnd.value; persist(); });
+elems.badgeMode.addEventListener('change', () => { settings.badge.mode = elems.badgeMode.value; elems.badgeServer.disabled = settings.badge.mode !== 'countdown'; persist(); });
+elems.recordToggle.addEventListener('click', () => updateRecordings({action: recordingState.recording ? 'stop' : 'start'}));
+elems.recordingImportBtn.addEventListener('click', () => elems.recordingImport.click());
+elems.recordingImport.addEventListener('change', importRecording);
+elems.settingsExportBtn.addEventListener('click', exportSettings);
+elems.settingsImportBtn.addEventListener('click', () => elems.settingsImport.click());
+elems.settingsImport.addEventListener('change', importSettings);
+elems.badgeServer.addEventListener('change', () => { settings.badge.server = elems.badgeServer.value; persist(); });
+initialize();
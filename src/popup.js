@@ -1,82 +1,449 @@
 const model = globalThis.EventPeeperV2;
+const preferences = globalThis.EventPeeperSettings;
+const missionHistory = globalThis.EventPeeperHistory;
+const calendar = globalThis.EventPeeperCalendar;
+const replay = globalThis.EventPeeperReplay;
 const ACTIVE_PAGE_KEY = 'event-peeper:active-page';
+const WINDOW_KEY = 'event-peeper:window';
+// The list filter is only what was typed in this browser session, so it is never saved with the preferences.
+const FILTER_KEY = 'event-peeper:filter';
+// The same page runs as the toolbar popup, the Chrome side panel, the Firefox sidebar and a pop-out window.
+const VIEW = ['panel', 'sidebar', 'window'].includes(new URLSearchParams(location.search).get('view')) ? new URLSearchParams(location.search).get('view') : 'popup';
+const storage = typeof browser !== 'undefined' ? browser.storage : chrome.storage;
+const windows = typeof browser !== 'undefined' ? browser.windows : chrome.windows;
+const sidebarAction = typeof browser !== 'undefined' ? browser.sidebarAction : null;
+const i18n = typeof browser !== 'undefined' ? browser.i18n : chrome.i18n;
+// Dates, numbers and durations follow the browser's UI language, the same one that picks the _locales folder.
+const LOCALE = i18n?.getUILanguage?.() || navigator.language;
+const reducedMotion = window.matchMedia?.('(prefers-reduced-motion: reduce)');
+document.documentElement.dataset.view = VIEW;
+const PAGES = ['missions', 'pvp', 'timeline', 'stats', 'diagnostics'];
 const elems = {
     content: document.getElementById('content'), error: document.getElementById('error'), refreshBtn: document.getElementById('refreshBtn'),
     serverRows: document.getElementById('serverRows'), pvpRows: document.getElementById('pvpRows'),
-    lastUpdate: document.getElementById('lastUpdate'), activeEvents: document.getElementById('activeEvents'), missionsTab: document.getElementById('missionsTab'), pvpTab: document.getElementById('pvpTab'), missionsPage: document.getElementById('missionsPage'), pvpPage: document.getElementById('pvpPage'), apiUrlText: document.getElementById('apiUrlText'), versionText: document.getElementById('versionText')
+    lastUpdate: document.getElementById('lastUpdate'), transportState: document.getElementById('transportState'), activeEvents: document.getElementById('activeEvents'), missionsTab: document.getElementById('missionsTab'), pvpTab: document.getElementById('pvpTab'), missionsPage: document.getElementById('missionsPage'), pvpPage: document.getElementById('pvpPage'),
+    statsTab: document.getElementById('statsTab'), statsPage: document.getElementById('statsPage'), serverStats: document.getElementById('serverStats'), typeStats: document.getElementById('typeStats'),
+    historyLog: document.getElementById('historyLog'), historySince: document.getElementById('historySince'), clearHistoryBtn: document.getElementById('clearHistoryBtn'), exportCalendarBtn: document.getElementById('exportCalendarBtn'), apiUrlText: document.getElementById('apiUrlText'), versionText: document.getElementById('versionText'), optionsLink: document.getElementById('optionsLink'),
+    diagnosticsPage: document.getElementById('diagnosticsPage'), schemaTitle: document.getElementById('schemaTitle'), warningList: document.getElementById('warningList'), endpointTable: document.getElementById('endpointTable'),
+    rawBodies: document.getElementById('rawBodies'), copyDiagnosticsBtn: document.getElementById('copyDiagnosticsBtn'), closeDiagnosticsBtn: document.getElementById('closeDiagnosticsBtn'),
+    popOutBtn: document.getElementById('popOutBtn'), sidePanelBtn: document.getElementById('sidePanelBtn'),
+    replayBar: document.getElementById('replayBar'), replayPlayBtn: document.getElementById('replayPlayBtn'), replayPrevBtn: document.getElementById('replayPrevBtn'), replayNextBtn: document.getElementById('replayNextBtn'),
+    listTools: document.getElementById('listTools'), filterText: document.getElementById('filterText'), sortMode: document.getElementById('sortMode'), typeFilters: document.getElementById('typeFilters'),
+    timelineTab: document.getElementById('timelineTab'), timelinePage: document.getElementById('timelinePage'), timeline: document.getElementById('timeline'), timelineDetail: document.getElementById('timelineDetail'),
+    replayScrub: document.getElementById('replayScrub'), replayTime: document.getElementById('replayTime'), replaySpeed: document.getElementById('replaySpeed'), replayExitBtn: document.getElementById('replayExitBtn'),
+    announcer: document.getElementById('announcer')
 };
 let snapshot = {servers: {prod: [], test: []}, missionServers: {prod: [], test: []}, pvpEvents: [], loading: true, errors: {}};
+let settings = preferences.normalize({});
+let historyEntries = [];
+let activePage = 'missions';
 let refreshInFlight = false;
-function now() { return Math.floor(Date.now() / 1000); }
+let diagnostics = null;
+let scrubbing = false;
+let timelineStart = 0;
+let filterText = '';
+let currentWindowId = null;
+let announcedStatuses = null;
+let announcedTransport = null;
+// A missing key shows up as the key itself, which makes gaps in a translation easy to spot.
+function t(key, ...substitutions) {
+    return i18n?.getMessage(key, substitutions.map(value => typeof value === 'number' ? new Intl.NumberFormat(LOCALE).format(value) : String(value))) || key;
+}
+function plural(key, count) {
+    return i18n?.getMessage(key + '_' + new Intl.PluralRules(LOCALE).select(count), [new Intl.NumberFormat(LOCALE).format(count)]) || t(key + '_other', count);
+}
+function localizePage() {
+    document.documentElement.lang = LOCALE;
+    document.documentElement.dir = i18n?.getMessage('@@bidi_dir') || 'ltr';
+    document.querySelectorAll('[data-i18n]').forEach(element => { element.textContent = t(element.dataset.i18n); });
+    for (const attribute of ['title', 'placeholder', 'aria-label']) {
+        document.querySelectorAll('[data-i18n-' + attribute + ']').forEach(element => element.setAttribute(attribute, t(element.getAttribute('data-i18n-' + attribute))));
+    }
+}
+// Follows the replay's virtual clock while a recording plays, and the real one otherwise.
+function now() { return Math.floor(replay.virtualNow(snapshot.replay)); }
 function saveActivePage(page) {
     if (chrome.storage?.session) chrome.storage.session.set({[ACTIVE_PAGE_KEY]: page});
 }
 function setPage(page, persist = true) {
-    const pvp = page === 'pvp';
-    elems.missionsPage.classList.toggle('hidden', pvp);
-    elems.pvpPage.classList.toggle('hidden', !pvp);
-    elems.missionsTab.classList.toggle('active', !pvp);
-    elems.pvpTab.classList.toggle('active', pvp);
-    elems.missionsTab.setAttribute('aria-selected', String(!pvp));
-    elems.pvpTab.setAttribute('aria-selected', String(pvp));
-    if (persist) saveActivePage(pvp ? 'pvp' : 'missions');
+    activePage = PAGES.includes(page) ? page : 'missions';
+    for (const name of PAGES) {
+        elems[name + 'Page'].classList.toggle('hidden', name !== activePage);
+        elems[name + 'Tab']?.classList.toggle('active', name === activePage);
+        elems[name + 'Tab']?.setAttribute('aria-selected', String(name === activePage));
+        // Only the selected tab is in the tab order; arrow keys move between the others.
+        if (elems[name + 'Tab']) elems[name + 'Tab'].tabIndex = name === (elems[activePage + 'Tab'] ? activePage : 'missions') ? 0 : -1;
+    }
+    elems.listTools.classList.toggle('hidden', activePage !== 'missions' && activePage !== 'pvp');
+    if (activePage === 'stats') loadHistory();
+    if (activePage === 'timeline') renderTimeline();
+    if (activePage === 'diagnostics') loadDiagnostics();
+    if (persist) saveActivePage(activePage);
+}
+function getFilterText() {
+    return new Promise(resolve => {
+        if (!chrome.storage?.session) return resolve('');
+        chrome.storage.session.get(FILTER_KEY, result => resolve(typeof result?.[FILTER_KEY] === 'string' ? result[FILTER_KEY] : ''));
+    });
 }
 function getActivePage() {
     return new Promise(resolve => {
         if (!chrome.storage?.session) return resolve('missions');
-        chrome.storage.session.get(ACTIVE_PAGE_KEY, result => resolve(result?.[ACTIVE_PAGE_KEY] === 'pvp' ? 'pvp' : 'missions'));
+        chrome.storage.session.get(ACTIVE_PAGE_KEY, result => resolve(PAGES.includes(result?.[ACTIVE_PAGE_KEY]) ? result[ACTIVE_PAGE_KEY] : 'missions'));
     });
 }
-function formatTime(seconds) {
+function tabKeys(event) {
+    const tabs = PAGES.map(name => elems[name + 'Tab']).filter(Boolean), index = tabs.indexOf(event.target);
+    const forward = document.documentElement.dir === 'rtl' ? 'ArrowLeft' : 'ArrowRight', back = forward === 'ArrowLeft' ? 'ArrowRight' : 'ArrowLeft';
+    const next = {[forward]: index + 1, [back]: index - 1, Home: 0, End: tabs.length - 1}[event.key];
+    if (index === -1 || next === undefined) return;
+    event.preventDefault();
+    const tab = tabs[(next + tabs.length) % tabs.length];
+    tab.focus(); tab.click();
+}
+// Cards and PvP rows are one flat list to the keyboard, even where the wider views lay them out in columns.
+function listKeys(event) {
+    const items = [...event.currentTarget.querySelectorAll('[data-key]')], index = items.indexOf(event.target);
+    const next = {ArrowDown: index + 1, ArrowRight: index + 1, ArrowUp: index - 1, ArrowLeft: index - 1, Home: 0, End: items.length - 1}[event.key];
+    if (index === -1 || next === undefined) return;
+    event.preventDefault();
+    items[Math.max(0, Math.min(items.length - 1, next))].focus();
+}
+// The lists are rebuilt on every update, so focus moves over to the rebuilt card, or to the same button inside it.
+function keepFocus(container, rebuild) {
+    const active = container.contains(document.activeElement) ? document.activeElement : null;
+    const key = active?.closest('[data-key]')?.dataset.key, control = ['pin-button', 'pvp-reminder'].find(name => active?.classList.contains(name));
+    rebuild();
+    if (key == null) return;
+    const item = [...container.querySelectorAll('[data-key]')].find(element => element.dataset.key === key);
+    (control ? item?.querySelector('.' + control) : item)?.focus({preventScroll: true});
+}
+// A replay being scrubbed would change everything at once, so nothing is read out until it stops.
+function announce(messages) {
+    if (!messages.length || snapshot.replay) return;
+    const text = (messages.length > 3 ? messages.slice(0, 3).concat(plural('announceMore', messages.length - 3)) : messages).join('. ');
+    // Emptying the region first makes screen readers repeat a message that happens to match the last one.
+    elems.announcer.textContent = '';
+    setTimeout(() => { elems.announcer.textContent = text; }, 100);
+}
+// Only mission changes are announced; the countdowns tick silently and are read out when a card is focused.
+function announceChanges(states) {
+    if (snapshot.loading) return;
+    // The first live view after a replay becomes the new baseline instead of being compared with what the replay showed.
+    if (snapshot.replay) { announcedStatuses = null; return; }
+    const statuses = new Map(states.map(state => [preferences.serverKey(state.instance, state.server.server_id), state]));
+    const previous = announcedTransport === snapshot.transport ? announcedStatuses : null, messages = [];
+    for (const [key, state] of statuses) {
+        const before = previous?.get(key), mission = state.selection.current ? missionName(state.selection.current) : null;
+        if (!before || (before.status === state.status && before.mission === mission)) continue;
+        const server = serverLabel(state.server.name, state.instance);
+        messages.push(mission ? t('announceStatus', mission, statusText(state.status), server) : t('announceInactive', server));
+    }
+    announcedStatuses = new Map([...statuses].map(([key, state]) => [key, {status: state.status, mission: state.selection.current ? missionName(state.selection.current) : null}]));
+    announcedTransport = snapshot.transport;
+    announce(messages);
+}
+const DURATION_UNITS = [['days', 86400], ['hours', 3600], ['minutes', 60], ['seconds', 1]];
+// The two largest units, with the smaller one rounded by `round` and carried into the larger one when it fills it.
+function durationFields(seconds, round) {
+    let index = DURATION_UNITS.findIndex(([, size]) => seconds >= size);
+    if (index === -1) index = DURATION_UNITS.length - 1;
+    const [unit, size] = DURATION_UNITS[index], [minorUnit, minorSize] = DURATION_UNITS[index + 1] || [];
+    if (!minorUnit) return {[unit]: round(seconds)};
+    let major = Math.floor(seconds / size), minor = round(seconds % size / minorSize);
+    if (minor * minorSize >= size) { major++; minor = 0; }
+    return minor ? {[unit]: major, [minorUnit]: minor} : {[unit]: major};
+}
+function formatUnits(fields, style = 'narrow') {
+    if (typeof Intl.DurationFormat === 'function') return new Intl.DurationFormat(LOCALE, {style}).format(fields);
+    return new Intl.ListFormat(LOCALE, {type: 'unit', style}).format(Object.entries(fields)
+        .map(([unit, value]) => new Intl.NumberFormat(LOCALE, {style: 'unit', unit: unit.slice(0, -1), unitDisplay: style}).format(value)));
+}
+// Signed h:mm:ss (or mm:ss) to a target time, for the card rings.
+function formatCountdown(seconds) {
     if (!Number.isFinite(Number(seconds))) return '—';
     const diff = Math.abs(Number(seconds) - now()), sign = Number(seconds) >= now() ? '' : '-';
-    return sign + String(Math.floor(diff / 60)).padStart(2, '0') + ':' + String(diff % 60).padStart(2, '0');
+    const fields = {hours: Math.floor(diff / 3600), minutes: Math.floor(diff % 3600 / 60), seconds: Math.floor(diff % 60)};
+    if (typeof Intl.DurationFormat === 'function') return sign + new Intl.DurationFormat(LOCALE, {style: 'digital', hoursDisplay: 'auto'}).format(fields);
+    const twoDigits = new Intl.NumberFormat(LOCALE, {minimumIntegerDigits: 2});
+    return sign + (fields.hours ? new Intl.NumberFormat(LOCALE).format(fields.hours) + ':' : '') + twoDigits.format(fields.minutes) + ':' + twoDigits.format(fields.seconds);
+}
+// Screen readers get minute precision, so an accessible label changes at most once a minute.
+function formatSpoken(seconds) {
+    return seconds >= 60 ? formatUnits(durationFields(Math.ceil(seconds / 60) * 60, Math.ceil), 'long') : t('underMinute');
 }
+function clockOptions() { return settings.display.clock === 'auto' ? {} : {hour12: settings.display.clock === '12h'}; }
 function formatAbsoluteTime(seconds) {
-    return new Intl.DateTimeFormat(undefined, {
-        weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit'
+    return new Intl.DateTimeFormat(LOCALE, {
+        weekday: 'short', month: 'short', day: 'numeric', hour: 'numeric', minute: '2-digit', ...clockOptions()
     }).format(new Date(Number(seconds) * 1000));
 }
-function formatPvpCountdown(seconds) {
-    const diff = Math.max(0, Number(seconds) - now());
-    if (diff >= 86400) {
-        const days = Math.floor(diff / 86400);
-        const hours = Math.ceil((diff % 86400) / 3600);
-        return hours === 24 ? (days + 1) + 'd' : days + 'd' + (hours ? ' ' + hours + 'h' : '');
-    }
-    if (diff >= 3600) {
-        const hours = Math.floor(diff / 3600);
-        const minutes = Math.ceil((diff % 3600) / 60);
-        return minutes === 60 ? (hours + 1) + 'h' : hours + 'h' + (minutes ? ' ' + minutes + 'm' : '');
-    }
-    if (diff >= 60) {
-        const minutes = Math.floor(diff / 60);
-        const secondsPart = Math.ceil(diff % 60);
-        return secondsPart === 60 ? (minutes + 1) + 'm' : minutes + 'm' + (secondsPart ? ' ' + String(secondsPart).padStart(2, '0') + 's' : '');
-    }
-    return String(Math.ceil(diff)).padStart(2, '0') + 's';
+function formatClockTime(seconds) {
+    return new Intl.DateTimeFormat(LOCALE, {hour: 'numeric', minute: '2-digit', ...clockOptions()}).format(new Date(Number(seconds) * 1000));
+}
+function formatTarget(seconds) {
+    return settings.display.times === 'absolute' && Number(seconds) > 0 ? formatClockTime(seconds) : formatCountdown(seconds);
+}
+// Rounds up, so the PvP countdown never shows less time than is left.
+function formatRemaining(seconds) { return formatUnits(durationFields(Math.max(0, Number(seconds) - now()), Math.ceil)); }
+function formatDuration(seconds) {
+    if (!Number.isFinite(seconds) || seconds <= 0) return '—';
+    return formatUnits(durationFields(Math.round(seconds), Math.round));
 }
 function pvpCountdownTarget(start) {
     const startTime = Number(start);
     return startTime > now() ? startTime : startTime + 5 * 60;
 }
+function download(filename, text, type) {
+    const url = URL.createObjectURL(new Blob([text], {type}));
+    const link = document.createElement('a'); link.href = url; link.download = filename;
+    document.body.append(link); link.click(); link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+function visibleSnapshot() { return preferences.visibleSnapshot(settings, snapshot); }
+function exportCalendar() { download('event-peeper.ics', calendar.scheduleCalendar(visibleSnapshot(), {now: now()}), 'text/calendar'); }
+const FILTER_TYPES = [...model.MISSION_TYPES, 'pvp'];
+const STATUS_ORDER = ['open', 'announced', 'closed', 'inactive'];
+function savePreferences() {
+    preferences.save(settings).catch(error => console.error('Failed to save settings:', error));
+}
+function matchesText(name) {
+    const text = filterText.trim().toLowerCase();
+    return !text || String(name || '').toLowerCase().includes(text);
+}
+function matchesTypes(types) {
+    const wanted = settings.display.types;
+    return !wanted.length || types.some(type => wanted.includes(type));
+}
+function pvpName(event) { return event.server_name || t('serverOption', String(event.server_option_id)); }
+function serverLabel(name, instance) { return instance === 'test' ? t('testServer', name) : name; }
+function typeLabel(type) { return [...FILTER_TYPES, 'other'].includes(type) ? t('type_' + type) : type; }
+function statusText(status) { return t('status_' + status); }
+function pvpPinned(event) { return event.server_id != null && preferences.isPinned(settings, event.instance || 'prod', event.server_id); }
+function renderTypeFilters() {
+    clear(elems.typeFilters);
+    for (const type of FILTER_TYPES) {
+        const chip = document.createElement('button'); chip.type = 'button'; chip.className = 'type-filter'; chip.textContent = typeLabel(type);
+        chip.setAttribute('aria-pressed', String(settings.display.types.includes(type)));
+        chip.addEventListener('click', () => {
+            const types = settings.display.types;
+            settings.display.types = types.includes(type) ? types.filter(entry => entry !== type) : types.concat(type);
+            savePreferences(); renderTypeFilters(); render();
+        });
+        elems.typeFilters.append(chip);
+    }
+    elems.sortMode.value = settings.display.sort;
+    if (document.activeElement !== elems.filterText) elems.filterText.value = filterText;
+}
+function pvpSummary(event) {
+    const start = Number(event.start_unix);
+    return t(start > now() ? 'pvpSummaryOpens' : 'pvpSummaryStarts', pvpName(event), formatSpoken(pvpCountdownTarget(start) - now()));
+}
 function renderPvp() {
     clear(elems.pvpRows);
-    const future = (snapshot.pvpEvents || []).filter(event => Number(event.start_unix) + 5 * 60 >= now());
-    if (!future.length) { elems.pvpRows.textContent = 'No upcoming PvP events'; return; }
+    const upcoming = (snapshot.pvpEvents || []).filter(event => Number(event.start_unix) + 5 * 60 >= now() && !preferences.isHidden(settings, event.instance || 'prod', event.server_id));
+    if (!upcoming.length) { elems.pvpRows.textContent = t('noUpcomingPvp'); return; }
+    if (!matchesTypes(['pvp'])) { elems.pvpRows.textContent = t('pvpHiddenByType'); return; }
+    const future = upcoming.filter(event => matchesText(pvpName(event)))
+        .sort((a, b) => pvpPinned(b) - pvpPinned(a) || (settings.display.sort === 'name' ? pvpName(a).localeCompare(pvpName(b)) : 0) || Number(a.start_unix) - Number(b.start_unix));
+    if (!future.length) { elems.pvpRows.textContent = t('noPvpMatch'); return; }
     for (const event of future) {
-        const row = document.createElement('div'); row.className = 'pvp-row'; row.dataset.start = String(event.start_unix);
+        const row = document.createElement('div'); row.className = 'pvp-row'; row.dataset.start = String(event.start_unix); row.dataset.name = pvpName(event);
+        row.dataset.key = (event.server_id ?? 'option-' + event.server_option_id) + ':' + event.start_unix; row.dataset.started = String(Number(event.start_unix) <= now());
+        row.tabIndex = 0; row.setAttribute('role', 'group'); row.setAttribute('aria-label', pvpSummary(event));
         const info = document.createElement('div'); info.className = 'pvp-event-info';
-        const name = document.createElement('div'); name.className = 'pvp-event-server'; name.textContent = event.server_name || ('Server option ' + event.server_option_id);
+        const name = document.createElement('div'); name.className = 'pvp-event-server'; name.textContent = (pvpPinned(event) ? '★ ' : '') + pvpName(event);
         const absolute = document.createElement('div'); absolute.className = 'pvp-event-time muted'; absolute.textContent = formatAbsoluteTime(event.start_unix);
-        info.append(name, absolute);
-        const countdown = document.createElement('div'); countdown.className = 'pvp-event-countdown';
-        const label = document.createElement('span'); label.className = 'pvp-event-label'; label.textContent = Number(event.start_unix) > now() ? 'Opens in' : 'Starts in';
-        const value = document.createElement('span'); value.className = 'pvp-event-value'; value.textContent = formatPvpCountdown(pvpCountdownTarget(event.start_unix));
+        const reminder = document.createElement('button'); reminder.type = 'button'; reminder.className = 'link-button pvp-reminder'; reminder.textContent = t('addReminder');
+        reminder.title = t('addReminderTitle', formatUnits({minutes: settings.notifications.pvpLeadMinutes}, 'long'));
+        reminder.addEventListener('click', () => download('pvp-' + (event.server_id ?? event.server_option_id) + '-' + event.start_unix + '.ics',
+            calendar.reminderCalendar(event, settings.notifications.pvpLeadMinutes, {now: now()}), 'text/calendar'));
+        info.append(name, absolute, reminder);
+        const countdown = document.createElement('div'); countdown.className = 'pvp-event-countdown'; countdown.setAttribute('role', 'timer');
+        const label = document.createElement('span'); label.className = 'pvp-event-label'; label.textContent = t(Number(event.start_unix) > now() ? 'pvpOpensIn' : 'pvpStartsIn');
+        const value = document.createElement('span'); value.className = 'pvp-event-value'; value.textContent = formatRemaining(pvpCountdownTarget(event.start_unix));
         countdown.append(label, value); row.append(info, countdown); elems.pvpRows.append(row);
     }
 }
+const CONFIDENCE_DOTS = {low: '●○○', medium: '●●○', high: '●●●'};
+function statsTable(columns, rows) {
+    const table = document.createElement('table'); table.className = 'stats-table';
+    const head = document.createElement('thead'), headRow = document.createElement('tr');
+    for (const column of columns) { const th = document.createElement('th'); th.textContent = column; headRow.append(th); }
+    head.append(headRow);
+    const body = document.createElement('tbody');
+    for (const row of rows) {
+        const tr = document.createElement('tr');
+        for (const value of row) { const td = document.createElement('td'); td.textContent = value; tr.append(td); }
+        body.append(tr);
+    }
+    table.append(head, body);
+    return table;
+}
+function renderStats() {
+    clear(elems.serverStats); clear(elems.typeStats); clear(elems.historyLog);
+    const stats = missionHistory.statistics(historyEntries);
+    if (!stats.servers.length) {
+        elems.serverStats.className = 'muted'; elems.serverStats.textContent = t('noMissionsRecorded');
+    } else {
+        elems.serverStats.className = '';
+        elems.serverStats.append(statsTable([t('columnServer'), t('columnMission'), t('columnSeen'), t('columnEvery'), t('columnOpenFor')], stats.servers.map(row => [
+            serverLabel(row.server_name, row.instance), typeLabel(row.type), row.spawns.toLocaleString(LOCALE), formatDuration(row.averageIntervalSeconds), formatDuration(row.averageOpenSeconds)
+        ])));
+        elems.typeStats.append(statsTable([t('columnMission'), t('columnSeen'), t('columnEvery'), t('columnOpenFor')], stats.types.map(row => [
+            typeLabel(row.type), row.spawns.toLocaleString(LOCALE), formatDuration(row.averageIntervalSeconds), formatDuration(row.averageOpenSeconds)
+        ])));
+    }
+    for (const entry of historyEntries.slice(-100).reverse()) {
+        const row = document.createElement('div'); row.className = 'history-row';
+        const time = document.createElement('span'); time.className = 'history-time muted'; time.textContent = formatAbsoluteTime(entry.at);
+        const what = document.createElement('span'); what.textContent = serverLabel(entry.server_name, entry.instance) + ' · ' + entry.mission_name;
+        const status = document.createElement('span'); status.className = 'history-status state-' + entry.to; status.textContent = statusText(entry.to);
+        row.append(time, what, status); elems.historyLog.append(row);
+    }
+    elems.historyLog.classList.toggle('muted', !historyEntries.length);
+    if (!historyEntries.length) elems.historyLog.textContent = t('historyEmpty');
+    elems.historySince.textContent = stats.since ? t('historySince', formatAbsoluteTime(stats.since)) : '';
+}
+function getHistory() { return new Promise(resolve => chrome.runtime.sendMessage({type: 'event-peeper:get-history'}, resolve)); }
+async function loadHistory() {
+    historyEntries = (await getHistory()) || [];
+    renderStats();
+}
+function clearHistory() {
+    chrome.runtime.sendMessage({type: 'event-peeper:clear-history'}, result => { historyEntries = result || []; renderStats(); });
+}
+const TIMELINE_BEFORE_SECONDS = 15 * 60;
+const TIMELINE_AFTER_SECONDS = 3 * 3600;
+const TIMELINE_TICK_SECONDS = 30 * 60;
+function timelinePosition(time) { return (Number(time) - timelineStart) / (TIMELINE_BEFORE_SECONDS + TIMELINE_AFTER_SECONDS) * 100; }
+function timelineItem(className, start, end, detail) {
+    const left = timelinePosition(start), right = end == null ? left : timelinePosition(end);
+    if (!Number.isFinite(left) || right < 0 || left > 100) return null;
+    const item = document.createElement('div'); item.className = className; item.tabIndex = 0;
+    item.style.left = Math.max(0, left) + '%';
+    if (end != null) item.style.width = Math.max(0.8, Math.min(100, right) - Math.max(0, left)) + '%';
+    item.setAttribute('aria-label', detail);
+    const show = () => { elems.timelineDetail.textContent = detail; };
+    item.addEventListener('mouseenter', show); item.addEventListener('focus', show);
+    return item;
+}
+function spanText(start, end) {
+    const span = formatClockTime(start) + (end ? '–' + formatClockTime(end) : '');
+    return start > now() ? t('timelineIn', span, formatDuration(start - now())) : span;
+}
+// One lane per server, drawn from the same selection and target the cards use.
+function timelineLane(state) {
+    const {server, missionServer, selection, target} = state, label = serverLabel(server.name, state.instance), items = [];
+    const missionBlock = (mission, status, start, end, scheduled) => {
+        const name = missionName(mission), bg = backgroundFor(name, status);
+        const item = timelineItem('timeline-block state-' + status + (bg ? ' has-art' : '') + (scheduled ? ' scheduled' : ''), start, end,
+            label + ' · ' + name + ' ' + (scheduled ? t('timelineExpectedOpen') : statusText(status)) + ' · ' + spanText(start, end));
+        if (item && bg) item.style.setProperty('--bg-image', 'url(' + bg + ')');
+        items.push(item);
+    };
+    const announcedBlocks = mission => {
+        const open = Number(mission.open_time_unix), close = Number(mission.close_time_unix);
+        if (!(open > 0)) return;
+        missionBlock(mission, 'announced', open - model.ANNOUNCE_LEAD_SECONDS, open);
+        if (close > open) missionBlock(mission, 'open', open, close, true);
+    };
+    const current = selection.current;
+    if (current?.status === 'announced') announcedBlocks(current);
+    else if (current?.status === 'open') missionBlock(current, 'open', Number(current.open_time_unix) || now(), target || now());
+    else if (current?.status === 'closed') missionBlock(current, 'closed', Number(current.close_time_unix) || now(), target || now());
+    if (selection.next) announcedBlocks(selection.next);
+    if (!current && target) items.push(timelineItem('timeline-marker next', target, null, label + ' · ' + t('timelineNextAnnounce') + ' · ' + spanText(target)));
+    const prediction = !current && !target ? activePrediction(state.instance, server.server_id) : null;
+    if (prediction) items.push(timelineItem('timeline-marker predicted', prediction.time, null, label + ' · ' + t('timelinePredicted', prediction.type ? typeLabel(prediction.type) : t('mission'), t('confidence_' + prediction.confidence)) + ' · ' + spanText(prediction.time)));
+    return {label, items};
+}
+function pvpMarker(event, label) {
+    return timelineItem('timeline-marker pvp', event.start_unix, null, label + ' · ' + t('pvp') + ' · ' + spanText(Number(event.start_unix)));
+}
+function createLane(label, items, className = '') {
+    const lane = document.createElement('div'); lane.className = 'timeline-lane ' + className;
+    const name = document.createElement('div'); name.className = 'timeline-label'; name.textContent = label; name.title = label;
+    const track = document.createElement('div'); track.className = 'timeline-track';
+    track.append(...items.filter(Boolean));
+    lane.append(name, track);
+    return lane;
+}
+function renderTimeline() {
+    clear(elems.timeline);
+    timelineStart = now() - TIMELINE_BEFORE_SECONDS;
+    const ticks = [];
+    for (let time = Math.ceil(timelineStart / TIMELINE_TICK_SECONDS) * TIMELINE_TICK_SECONDS; timelinePosition(time) < 97; time += TIMELINE_TICK_SECONDS) {
+        if (timelinePosition(time) < 3) continue;
+        const tick = document.createElement('span'); tick.className = 'timeline-tick'; tick.style.left = timelinePosition(time) + '%'; tick.textContent = formatClockTime(time);
+        ticks.push(tick);
+    }
+    elems.timeline.append(createLane('', ticks, 'timeline-axis'));
+    const visible = visibleSnapshot(), allStates = model.serverStates(visible, now()), pvp = visible.pvpEvents, placed = new Set();
+    for (const instance of model.INSTANCES) {
+        const states = allStates.filter(state => state.instance === instance);
+        if (!states.length) continue;
+        const separator = document.createElement('div'); separator.className = 'instance-separator';
+        const separatorLabel = document.createElement('span'); separatorLabel.textContent = t(instance === 'test' ? 'groupTest' : 'groupProduction');
+        separator.append(separatorLabel); elems.timeline.append(separator);
+        for (const state of states) {
+            const {label, items} = timelineLane(state);
+            // PvP only runs on production, so its markers share the server's lane there.
+            if (instance === 'prod') {
+                for (const event of pvp.filter(event => event.server_id != null && String(event.server_id) === String(state.server.server_id))) { placed.add(event); items.push(pvpMarker(event, label)); }
+            }
+            elems.timeline.append(createLane(label, items));
+        }
+    }
+    const unplaced = pvp.filter(event => !placed.has(event));
+    if (unplaced.length) elems.timeline.append(createLane(t('pvp'), unplaced.map(event => pvpMarker(event, pvpName(event)))));
+    elems.timeline.querySelectorAll('.timeline-track').forEach(track => { const line = document.createElement('div'); line.className = 'timeline-now'; track.append(line); });
+    updateTimelineNow();
+}
+function updateTimelineNow() {
+    if (activePage !== 'timeline') return;
+    // The window is re-anchored every few minutes, so the now line drifts right in between instead of the whole chart jumping each second.
+    if (now() - timelineStart > TIMELINE_BEFORE_SECONDS + 5 * 60 || now() < timelineStart) { renderTimeline(); return; }
+    elems.timeline.querySelectorAll('.timeline-now').forEach(line => { line.style.left = timelinePosition(now()) + '%'; });
+}
+function renderDiagnostics() {
+    clear(elems.warningList); clear(elems.endpointTable); clear(elems.rawBodies);
+    const warnings = diagnostics?.warnings || [];
+    elems.schemaTitle.textContent = t('schemaTitle', diagnostics?.schemaVersion ?? '?');
+    for (const warning of warnings) {
+        const row = document.createElement('div'); row.className = 'diagnostic-row';
+        const code = document.createElement('span'); code.className = 'diagnostic-code'; code.textContent = warning.endpoint + ' · ' + warning.code;
+        const message = document.createElement('span'); message.textContent = warning.message;
+        const path = document.createElement('span'); path.className = 'diagnostic-path'; path.textContent = warning.path || t('wholeBody');
+        row.append(code, message, path); elems.warningList.append(row);
+    }
+    elems.warningList.classList.toggle('muted', !warnings.length);
+    if (!warnings.length) elems.warningList.textContent = t('schemaClean');
+    const endpoints = diagnostics?.endpoints || {};
+    elems.endpointTable.append(statsTable([t('columnEndpoint'), t('columnFetched'), t('columnEtag'), t('columnFailures'), t('columnError')], Object.keys(ENDPOINTS).map(name => [
+        name, endpoints[name]?.fetchedAt ? formatAbsoluteTime(endpoints[name].fetchedAt / 1000) : '—', endpoints[name]?.etag || '—',
+        String(endpoints[name]?.failures || 0), snapshot.errors?.[name] ? errorText(snapshot.errors[name]) : '—'
+    ])));
+    for (const [name, body] of Object.entries(diagnostics?.bodies || {})) {
+        const text = JSON.stringify(body, null, 2);
+        const details = document.createElement('details'); details.className = 'raw-body';
+        const summary = document.createElement('summary'); summary.textContent = t('bodySize', name, new Blob([text]).size);
+        const pre = document.createElement('pre'); pre.textContent = text;
+        details.append(summary, pre); elems.rawBodies.append(details);
+    }
+}
+function getDiagnostics() { return new Promise(resolve => chrome.runtime.sendMessage({type: 'event-peeper:get-diagnostics'}, resolve)); }
+async function loadDiagnostics() {
+    diagnostics = (await getDiagnostics()) || null;
+    renderDiagnostics();
+}
+function copyDiagnostics() {
+    navigator.clipboard.writeText(JSON.stringify({version: elems.versionText.textContent, errors: snapshot.errors, ...diagnostics}, null, 2))
+        .then(() => { elems.copyDiagnosticsBtn.textContent = t('copied'); setTimeout(() => { elems.copyDiagnosticsBtn.textContent = t('copyJson'); }, 1500); })
+        .catch(error => console.error('Failed to copy diagnostics:', error));
+}
 function updateCardTimers() {
+    let predictionPassed = false;
     document.querySelectorAll('.card[data-status]').forEach(card => {
         const status = card.dataset.status;
         const openTime = Number(card.dataset.openTime), closeTime = Number(card.dataset.closeTime);
@@ -87,63 +454,201 @@ function updateCardTimers() {
         } else if (status === 'closed' && Number.isFinite(closeTime) && Number.isFinite(target) && target > closeTime) {
             progress = (currentNow - closeTime) / (target - closeTime);
         } else if (status === 'announced' && Number.isFinite(openTime)) {
-            progress = 1 - Math.max(0, openTime - currentNow) / (3 * 60); target = openTime;
+            progress = 1 - Math.max(0, openTime - currentNow) / model.ANNOUNCE_LEAD_SECONDS; target = openTime;
         } else if (status === 'inactive' && Number.isFinite(target)) {
             const inactiveWindow = Number(card.dataset.inactiveWindow) || 60;
             progress = (currentNow - (target - inactiveWindow)) / inactiveWindow;
         }
         progress = Math.max(0, Math.min(1, progress));
+        if (card.dataset.predicted && target <= currentNow) predictionPassed = true;
         const countdown = card.querySelector('.countdown-text');
-        if (countdown && Number.isFinite(target)) countdown.textContent = formatTime(target);
+        if (countdown && Number.isFinite(target)) countdown.textContent = (card.dataset.predicted ? '~' : '') + formatTarget(target);
         const nextOpen = Number(card.dataset.nextOpen), nextInline = card.querySelector('.next-inline');
         if (nextInline && Number.isFinite(nextOpen)) {
-            nextInline.textContent = ' · Next: ' + (card.dataset.nextName || 'Mission') + ' · ' + formatTime(nextOpen);
+            nextInline.textContent = ' · ' + t('nextMission', card.dataset.nextName || t('mission'), formatTarget(nextOpen));
         }
         const meta = card.querySelector('.card-meta');
         const ring = card.querySelector('.ring-progress');
-        if (ring) ring.setAttribute('stroke-dashoffset', String(2 * Math.PI * 29 * progress));
+        if (ring) ring.setAttribute('stroke-dashoffset', ringOffset(progress));
+        const summary = cardSummary(card, target);
+        if (card.getAttribute('aria-label') !== summary) card.setAttribute('aria-label', summary);
     });
+    const started = [];
     document.querySelectorAll('.pvp-row[data-start]').forEach(row => {
         const start = Number(row.dataset.start), label = row.querySelector('.pvp-event-label');
-        if (label) label.textContent = start > now() ? 'Opens in' : 'Starts in';
+        if (label) label.textContent = t(start > now() ? 'pvpOpensIn' : 'pvpStartsIn');
         const value = row.querySelector('.pvp-event-value');
-        if (value) value.textContent = formatPvpCountdown(pvpCountdownTarget(start));
+        if (value) value.textContent = formatRemaining(pvpCountdownTarget(start));
+        const summary = t(start > now() ? 'pvpSummaryOpens' : 'pvpSummaryStarts', row.dataset.name, formatSpoken(pvpCountdownTarget(start) - now()));
+        if (row.getAttribute('aria-label') !== summary) row.setAttribute('aria-label', summary);
+        if (start <= now() && row.dataset.started === 'false') { row.dataset.started = 'true'; started.push(t('announcePvpStarted', row.dataset.name)); }
     });
+    announce(started);
     updateHeaderAge();
+    updateReplayPosition();
+    updateTimelineNow();
+    // A prediction that ran out is not counted below zero; rendering again drops it.
+    if (predictionPassed) render();
+}
+// Short labels keep the header on one line; the title spells each endpoint out.
+const ENDPOINTS = {missions: ['endpointMissionsShort', 'endpointMissions'], pvp: ['endpointPvpShort', 'endpointPvp'], servers: ['endpointServersShort', 'endpointServers']};
+function formatAge(seconds) {
+    if (seconds < 60) return formatUnits({seconds: Math.floor(seconds)});
+    if (seconds < 3600) return formatUnits({minutes: Math.floor(seconds / 60)});
+    return formatUnits({hours: Math.floor(seconds / 3600)});
 }
+function errorText(error) { return typeof error === 'string' ? error : error?.message || t('requestFailed'); }
+function retryText(error) { return error?.retryAt > Date.now() ? t('retryingIn', formatDuration((error.retryAt - Date.now()) / 1000)) : ''; }
 function updateHeaderAge() {
-    const generated = Object.values(snapshot.generatedAt || {}).filter(Number.isFinite);
-    const latest = generated.length ? Math.max(...generated) : null;
-    elems.lastUpdate.textContent = latest ? formatTime(latest).replace('-', '') + ' ago' : '—';
+    clear(elems.lastUpdate);
+    for (const [name, [shortKey, labelKey]] of Object.entries(ENDPOINTS)) {
+        const generated = Number(snapshot.generatedAt?.[name]), fetched = Number(snapshot.fetchedAt?.[name]), error = snapshot.errors?.[name];
+        const age = generated > 0 ? Math.max(0, now() - generated) : null, ttl = (snapshot.ttl?.[name] || 60_000) / 1000;
+        // A replay has no fetches of its own, so its bodies' age stands in.
+        const checked = fetched > 0 ? Math.max(0, (Date.now() - fetched) / 1000) : age;
+        const item = document.createElement('span');
+        item.className = 'endpoint-age';
+        item.textContent = t(shortKey) + ' ' + (age == null ? '—' : formatAge(age));
+        // Twice the refresh interval since the last check means at least one refresh was missed; a live stream keeps the data current between checks.
+        item.classList.toggle('stale', snapshot.transport !== 'live' && (checked == null || checked > 2 * ttl));
+        item.classList.toggle('failed', !!error);
+        item.title = t('endpointAgeTitle', t(labelKey), age == null ? t('endpointNoData') : t('endpointGenerated', formatDuration(age)), formatDuration(ttl))
+            + (fetched > 0 ? '\n' + t('endpointChecked', formatDuration(checked)) : '')
+            + (error ? '\n' + t('endpointFailed', errorText(error)) + retryText(error) : '');
+        elems.lastUpdate.append(item);
+    }
 }
 function render() {
+    renderTypeFilters();
+    const states = model.serverStates(visibleSnapshot(), now());
+    announceChanges(states);
+    keepFocus(elems.serverRows, () => renderCards(states));
+    keepFocus(elems.pvpRows, renderPvp);
+    if (activePage === 'timeline') renderTimeline();
+    updateHeaderAge();
+    const live = snapshot.transport === 'live', replaying = snapshot.transport === 'replay';
+    elems.transportState.textContent = t(live ? 'transportLive' : replaying ? 'transportReplay' : 'transportPolled');
+    elems.transportState.classList.toggle('live', live);
+    elems.transportState.classList.toggle('replay', replaying);
+    elems.transportState.title = t(live ? 'transportLiveTitle' : replaying ? 'transportReplayTitle' : 'transportPolledTitle');
+    renderReplayBar();
+    elems.content.classList.toggle('loading', !!snapshot.loading);
+    // With data on screen, failures show on the endpoint ages instead; the banner is for an empty popup.
+    const errors = Object.entries(snapshot.errors || {}).map(([key, value]) => key + ': ' + errorText(value) + retryText(value));
+    const hasData = Object.values(snapshot.generatedAt || {}).some(value => Number(value) > 0);
+    elems.error.style.display = errors.length && !hasData ? 'block' : 'none';
+    // The banner is an alert, so it is only rewritten when the text actually changes.
+    if (elems.error.textContent !== errors.join('\n')) elems.error.textContent = errors.join('\n');
+}
+function renderCards(states) {
     clear(elems.serverRows);
-    let open = 0, announced = 0, targets = [];
-    for (const instance of ['prod', 'test']) {
-        if ((snapshot.servers?.[instance] || []).length) {
-            const separator = document.createElement('div'); separator.className = 'instance-separator';
-            const separatorLabel = document.createElement('span'); separatorLabel.textContent = instance === 'test' ? 'TEST' : 'PRODUCTION';
-            separator.append(separatorLabel); elems.serverRows.append(separator);
+    let open = 0, announced = 0;
+    const shown = states.filter(state => matchesText(state.server.name) && matchesTypes(stateTypes(state)));
+    const groups = [[t('groupPinned'), shown.filter(state => preferences.isPinned(settings, state.instance, state.server.server_id))]];
+    for (const instance of model.INSTANCES) {
+        groups.push([t(instance === 'test' ? 'groupTest' : 'groupProduction'), shown.filter(state => state.instance === instance && !preferences.isPinned(settings, instance, state.server.server_id))]);
+    }
+    for (const [title, group] of groups) {
+        if (!group.length) continue;
+        const separator = document.createElement('div'); separator.className = 'instance-separator';
+        const separatorLabel = document.createElement('span'); separatorLabel.textContent = title;
+        separator.append(separatorLabel); elems.serverRows.append(separator);
+        for (const state of sortStates(group)) {
+            if (state.status === 'open') open++;
+            if (state.status === 'announced') announced++;
+            elems.serverRows.append(createCard(state.server, state.missionServer));
         }
-        const missionMap = new Map((snapshot.missionServers?.[instance] || []).map(server => [server.server_id, server]));
-        for (const server of snapshot.servers?.[instance] || []) {
-            const missionServer = missionMap.get(server.server_id) || {...server, missions: []};
-            const selection = model.selectMissions(missionServer);
-            if (selection.current?.status === 'open') open++;
-            if (selection.current?.status === 'announced') announced++;
-            const card = createCard(server, missionServer); elems.serverRows.append(card);
-            const target = Number(card.dataset.refreshTarget); if (target) targets.push(target);
+    }
+    if (!elems.serverRows.children.length) {
+        const empty = document.createElement('div'); empty.textContent = t(states.length ? 'noServersMatch' : 'noActiveServers');
+        // An empty list is usually the API changing shape, so point at what the validator found.
+        if (snapshot.warnings?.length) {
+            const hint = document.createElement('button'); hint.className = 'link-button'; hint.type = 'button';
+            hint.textContent = plural('schemaWarnings', snapshot.warnings.length);
+            hint.addEventListener('click', () => setPage('diagnostics'));
+            empty.append(' · ', hint);
         }
+        elems.serverRows.append(empty);
     }
-    if (!elems.serverRows.children.length) elems.serverRows.textContent = 'No active servers';
-    elems.activeEvents.textContent = open || announced ? open + ' open' + (announced ? ', ' + announced + ' announced' : '') : 'No events';
-    renderPvp();
-    updateHeaderAge();
-    elems.content.classList.toggle('loading', !!snapshot.loading);
-    const errors = Object.entries(snapshot.errors || {}).map(([key, value]) => key + ': ' + value);
-    elems.error.style.display = errors.length && !generated.length ? 'block' : 'none';
-    elems.error.textContent = errors.join('\\n');
-    window.nextRefreshTarget = targets.concat((snapshot.pvpEvents || []).map(e => Number(e.start_unix)).filter(value => value >= now())).filter(Boolean).sort((a, b) => a - b)[0] || null;
+    elems.activeEvents.textContent = open || announced ? (announced ? t('activeOpenAnnounced', open, announced) : t('activeOpen', open)) : t('noEvents');
+}
+function sendReplay(message) {
+    chrome.runtime.sendMessage({type: 'event-peeper:replay', ...message}, result => { if (result) { snapshot = result; render(); updateCardTimers(); } });
+}
+function renderReplayBar() {
+    const clock = snapshot.replay;
+    elems.replayBar.classList.toggle('hidden', !clock);
+    if (!clock) return;
+    elems.replayBar.title = t('replaying', clock.name);
+    elems.replayScrub.min = String(clock.start); elems.replayScrub.max = String(clock.end);
+    elems.replayPlayBtn.textContent = clock.playing ? '⏸' : '▶';
+    elems.replayPlayBtn.setAttribute('aria-label', t(clock.playing ? 'replayPause' : 'replayPlay'));
+    if (!elems.replaySpeed.options.length) {
+        for (const speed of replay.SPEEDS) { const option = document.createElement('option'); option.value = String(speed); option.textContent = t('replaySpeedOption', speed); elems.replaySpeed.append(option); }
+    }
+    elems.replaySpeed.value = String(clock.speed);
+    updateReplayPosition();
+}
+function updateReplayPosition() {
+    if (!snapshot.replay) return;
+    if (!scrubbing) elems.replayScrub.value = String(now());
+    elems.replayTime.textContent = new Intl.DateTimeFormat(LOCALE, {hour: 'numeric', minute: '2-digit', second: '2-digit', ...clockOptions()}).format(new Date(Number(elems.replayScrub.value) * 1000));
+}
+function stepReplay(direction) {
+    const frames = snapshot.replay?.frames || [], current = now();
+    const target = direction > 0 ? frames.find(time => time > current) : frames.filter(time => time < current).pop();
+    sendReplay({action: 'seek', time: target ?? (direction > 0 ? snapshot.replay.end : snapshot.replay.start)});
+}
+// Predictions are worked out when the snapshot is built, so ones that have since passed are dropped here.
+function activePrediction(instance, serverId) {
+    const prediction = snapshot.predictions?.[preferences.serverKey(instance, serverId)];
+    return prediction?.announceTime > now() ? prediction : null;
+}
+function statePrediction(state) { return !state.selection.current && !state.target ? activePrediction(state.instance, state.server.server_id) : null; }
+function stateTypes(state) {
+    return [state.selection.current, state.selection.next].filter(Boolean).map(model.missionType).concat(statePrediction(state)?.type).filter(Boolean);
+}
+function sortStates(states) {
+    const mode = settings.display.sort;
+    if (mode === 'api') return states;
+    const target = state => state.target || statePrediction(state)?.announceTime || Infinity;
+    const byName = (a, b) => a.server.name.localeCompare(b.server.name);
+    return states.slice().sort((a, b) => {
+        if (mode === 'name') return byName(a, b);
+        if (mode === 'status') return STATUS_ORDER.indexOf(a.status) - STATUS_ORDER.indexOf(b.status) || target(a) - target(b) || byName(a, b);
+        return target(a) - target(b) || byName(a, b);
+    });
+}
+function togglePin(server) {
+    const key = preferences.serverKey(server.instance, server.server_id), pinned = settings.display.pinned;
+    settings.display.pinned = pinned.includes(key) ? pinned.filter(entry => entry !== key) : pinned.concat(key);
+    savePreferences(); render();
+}
+async function popOut() {
+    const stored = await storage.session?.get(WINDOW_KEY).catch(() => null);
+    const existing = stored?.[WINDOW_KEY];
+    try {
+        if (existing != null) { await windows.update(existing, {focused: true}); window.close(); return; }
+    } catch { /* The window was closed since, so open a new one. */ }
+    const created = await windows.create({url: chrome.runtime.getURL('popup.html?view=window'), type: 'popup', width: 760, height: 720});
+    storage.session?.set({[WINDOW_KEY]: created.id});
+    window.close();
+}
+// Panels only open from a user gesture, so the window id is looked up in setupViews rather than awaited here.
+function openSidePanel() {
+    if (!sidebarAction && currentWindowId == null) return;
+    let opened;
+    try { opened = sidebarAction ? sidebarAction.open() : chrome.sidePanel.open({windowId: currentWindowId}); } catch (error) { opened = Promise.reject(error); }
+    Promise.resolve(opened).then(() => window.close(), error => console.error('Failed to open the side panel:', error));
+}
+function setupViews() {
+    const canOpenPanel = VIEW === 'popup' && (sidebarAction ? !!sidebarAction.open : !!chrome.sidePanel?.open);
+    elems.sidePanelBtn.parentElement.classList.toggle('hidden', !canOpenPanel);
+    elems.popOutBtn.parentElement.classList.toggle('hidden', VIEW === 'window' || !windows);
+    if (!canOpenPanel || sidebarAction) return;
+    elems.sidePanelBtn.disabled = true;
+    windows.getCurrent().then(current => { currentWindowId = current.id; elems.sidePanelBtn.disabled = false; })
+        .catch(error => console.error('Failed to find the current window:', error));
 }
 function getVersion() { return new Promise(resolve => chrome.runtime.sendMessage({type: 'event-peeper:get-version'}, resolve)); }
 function getSnapshot() { return new Promise(resolve => chrome.runtime.sendMessage({type: 'event-peeper:get-all'}, resolve)); }
@@ -154,59 +659,114 @@ function refresh() {
         if (result) snapshot = result; refreshInFlight = false; elems.refreshBtn.disabled = false; render();
     });
 }
+function applyMotion() { document.documentElement.classList.toggle('reduce-motion', settings.display.motion === 'reduce' || !!reducedMotion?.matches); }
+// Without animation the ring moves in 5% steps, so it does not creep along every second.
+function ringOffset(progress) {
+    const shown = document.documentElement.classList.contains('reduce-motion') ? Math.floor(progress * 20) / 20 : progress;
+    return String(2 * Math.PI * 29 * shown);
+}
 async function initialize() {
+    localizePage();
+    setupViews();
     setPage(await getActivePage(), false);
+    [settings, filterText] = await Promise.all([preferences.load(), getFilterText()]);
+    applyMotion();
+    preferences.onChange(value => { settings = value; applyMotion(); render(); updateCardTimers(); });
+    reducedMotion?.addEventListener?.('change', applyMotion);
     const version = await getVersion();
     elems.versionText.textContent = 'v' + (version?.version || '?');
-    elems.apiUrlText.textContent = 'Data from ' + (version?.apiUrl || '').replace('https://', '');
+    elems.apiUrlText.textContent = t('dataFrom', (version?.apiUrl || '').replace('https://', ''));
     const cached = await getSnapshot(); if (cached) snapshot = cached; render(); updateCardTimers();
-    setInterval(() => { updateCardTimers(); if (window.nextRefreshTarget && now() >= window.nextRefreshTarget && !refreshInFlight) refresh(); }, 1000);
-    chrome.runtime.onMessage.addListener(message => { if (message?.type === 'event-peeper:update' && message.payload) { snapshot = message.payload; render(); } });
+    setInterval(updateCardTimers, 1000);
+    chrome.runtime.onMessage.addListener(message => {
+        if (message?.type !== 'event-peeper:update' || !message.payload) return;
+        snapshot = message.payload; render();
+        if (activePage === 'stats' && !snapshot.loading) loadHistory();
+        if (activePage === 'diagnostics' && !snapshot.loading) loadDiagnostics();
+    });
 }
 elems.refreshBtn?.addEventListener('click', refresh);
+elems.optionsLink?.addEventListener('click', event => { event.preventDefault(); chrome.runtime.openOptionsPage(); });
 elems.missionsTab?.addEventListener('click', () => setPage('missions'));
 elems.pvpTab?.addEventListener('click', () => setPage('pvp'));
+elems.timelineTab?.addEventListener('click', () => setPage('timeline'));
+elems.missionsTab?.parentElement.addEventListener('keydown', tabKeys);
+elems.serverRows?.addEventListener('keydown', listKeys);
+elems.pvpRows?.addEventListener('keydown', listKeys);
+elems.popOutBtn?.addEventListener('click', popOut);
+elems.sidePanelBtn?.addEventListener('click', openSidePanel);
+elems.filterText?.addEventListener('input', () => {
+    filterText = elems.filterText.value;
+    render();
+    chrome.storage?.session?.set({[FILTER_KEY]: filterText});
+});
+elems.sortMode?.addEventListener('change', () => { settings.display.sort = elems.sortMode.value; savePreferences(); render(); });
+elems.statsTab?.addEventListener('click', () => setPage('stats'));
+elems.clearHistoryBtn?.addEventListener('click', clearHistory);
+elems.exportCalendarBtn?.addEventListener('click', exportCalendar);
+elems.versionText?.addEventListener('click', event => { if (event.altKey) setPage('diagnostics'); });
+elems.copyDiagnosticsBtn?.addEventListener('click', copyDiagnostics);
+elems.replayPlayBtn?.addEventListener('click', () => sendReplay({action: 'play', playing: !snapshot.replay?.playing}));
+elems.replayPrevBtn?.addEventListener('click', () => stepReplay(-1));
+elems.replayNextBtn?.addEventListener('click', () => stepReplay(1));
+elems.replayScrub?.addEventListener('input', () => { scrubbing = true; updateReplayPosition(); });
+elems.replayScrub?.addEventListener('change', () => { scrubbing = false; sendReplay({action: 'seek', time: Number(elems.replayScrub.value)}); });
+elems.replaySpeed?.addEventListener('change', () => sendReplay({action: 'speed', speed: Number(elems.replaySpeed.value)}));
+elems.replayExitBtn?.addEventListener('click', () => sendReplay({action: 'stop'}));
+elems.closeDiagnosticsBtn?.addEventListener('click', () => setPage('missions'));
 initialize();
-function missionName(mission) { return mission?.mission_name || 'Mission'; }
+function missionName(mission) { return mission?.mission_name || t('mission'); }
+const BACKGROUNDS = {pits: 'img/pits.png', vulture: 'img/vulture.png', canary: 'img/canary.png'};
 function backgroundFor(name, status) {
     if (status === 'closed' || status === 'inactive') return null;
-    const lower = String(name || '').toLowerCase();
-    if (lower.includes('pit')) return 'img/pits.png';
-    if (lower.includes('vulture')) return 'img/vulture.png';
-    if (lower.includes('canary')) return 'img/canary.png';
-    return null;
-}
-function timerLabel(status) {
-    if (status === 'inactive') return 'announced in';
-    if (status === 'announced') return 'opens in';
-    if (status === 'open') return 'closes in';
-    if (status === 'closed') return 'concludes in';
-    return '';
+    return BACKGROUNDS[model.missionType({mission_name: name})] || null;
+}
+function timerLabel(status) { return ['inactive', 'announced', 'open', 'closed'].includes(status) ? t('timer_' + status) : ''; }
+function cardSummary(card, target) {
+    const status = statusText(card.dataset.status), parts = [card.dataset.server, card.dataset.mission ? t('missionStatus', card.dataset.mission, status) : status];
+    if (target > 0) parts.push(t('timerSpoken', card.dataset.predicted ? t('timerPredictedIn') : timerLabel(card.dataset.status), formatSpoken(target - now())));
+    return parts.join(', ');
 }
 function clear(element) { while (element?.firstChild) element.removeChild(element.firstChild); }
 function createCard(server, missionServer) {
-    const selection = model.selectMissions(missionServer), current = selection.current;
-    const status = current?.status || 'inactive', name = current ? missionName(current) : 'Inactive';
-    const target = model.missionTarget(missionServer, selection);
-    const refreshTarget = model.missionRefreshTarget(missionServer, selection);
-    const card = document.createElement('div'); card.className = 'card state-' + status;
+    const selection = model.selectMissions(missionServer, now()), current = selection.current;
+    const status = current?.status || 'inactive', name = current ? missionName(current) : statusText('inactive');
+    let target = model.missionTarget(missionServer, selection);
+    // Local estimates only fill in when the API has no schedule at all for this server.
+    const prediction = !current && !target ? activePrediction(server.instance, server.server_id) : null;
+    // Like the API's own target for an idle server, the countdown and ring run to the announce, not the open.
+    if (prediction) target = prediction.announceTime;
+    const card = document.createElement('div'); card.className = 'card state-' + status + (prediction ? ' predicted' : '');
     const bg = backgroundFor(name, status); if (bg) card.style.setProperty('--bg-image', 'url(' + bg + ')');
     const header = document.createElement('div'); header.className = 'card-header';
     const left = document.createElement('div'); left.className = 'header-left';
     const title = document.createElement('div'); title.className = 'card-title';
-    title.textContent = server.name || server.server_name || String(server.server_id);
+    const pinned = preferences.isPinned(settings, server.instance, server.server_id);
+    const pin = document.createElement('button'); pin.type = 'button'; pin.className = 'pin-button'; pin.textContent = pinned ? '★' : '☆';
+    pin.setAttribute('aria-pressed', String(pinned)); pin.setAttribute('aria-label', t('pinServer', server.name || String(server.server_id)));
+    pin.addEventListener('click', event => { event.stopPropagation(); togglePin(server); });
+    title.append(pin, server.name || server.server_name || String(server.server_id));
     const event = document.createElement('div'); event.className = 'event-name'; event.textContent = current ? name : '\u00a0';
     const meta = document.createElement('div'); meta.className = 'card-meta muted';
-    const statusLabel = current ? current.status[0].toUpperCase() + current.status.slice(1) : 'Inactive';
-    meta.textContent = statusLabel;
+    const statusLabel = statusText(status);
+    meta.textContent = statusLabel[0].toLocaleUpperCase(LOCALE) + statusLabel.slice(1);
     if (selection.next) {
         const nextInline = document.createElement('span'); nextInline.className = 'next-inline';
-        nextInline.textContent = ' · Next: ' + missionName(selection.next) + ' · ' + formatTime(selection.next.open_time_unix);
+        nextInline.textContent = ' · ' + t('nextMission', missionName(selection.next), formatTarget(selection.next.open_time_unix));
         meta.append(nextInline);
     }
+    if (prediction) {
+        const predicted = document.createElement('span'); predicted.className = 'prediction';
+        predicted.textContent = ' · ' + (prediction.type ? t('predictedType', typeLabel(prediction.type)) : t('predicted')) + ' ';
+        const confidence = document.createElement('span'); confidence.className = 'confidence confidence-' + prediction.confidence;
+        confidence.textContent = CONFIDENCE_DOTS[prediction.confidence] || CONFIDENCE_DOTS.low;
+        const confidenceText = t('confidence_' + prediction.confidence);
+        confidence.title = prediction.source === 'history' ? t('confidenceHistory', confidenceText, prediction.samples) : t('confidenceCadence', confidenceText);
+        predicted.append(confidence); meta.append(predicted);
+    }
     left.append(title, event, meta); header.append(left);
     const wrap = document.createElement('div'); wrap.className = 'countdown-wrap';
-    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg'); svg.setAttribute('viewBox', '0 0 64 64');
+    const svg = document.createElementNS('http://www.w3.org/2000/svg', 'svg'); svg.setAttribute('viewBox', '0 0 64 64'); svg.setAttribute('aria-hidden', 'true');
     const track = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
     track.setAttribute('class', 'ring-track'); track.setAttribute('cx', '32'); track.setAttribute('cy', '32'); track.setAttribute('r', '29');
     track.setAttribute('fill', 'none'); track.setAttribute('stroke-width', '6');
@@ -223,24 +783,29 @@ function createCard(server, missionServer) {
         if (Number.isFinite(closedAt) && Number.isFinite(target) && target > closedAt) progress = (currentNow - closedAt) / (target - closedAt);
     } else if (current?.status === 'announced') {
         const openTime = Number(current.open_time_unix);
-        if (Number.isFinite(openTime)) progress = 1 - Math.max(0, openTime - currentNow) / (3 * 60);
+        if (Number.isFinite(openTime)) progress = 1 - Math.max(0, openTime - currentNow) / model.ANNOUNCE_LEAD_SECONDS;
     } else if (status === 'inactive' && Number.isFinite(target)) {
-        const inactiveWindow = server.instance === 'test' ? 60 : 27 * 60;
+        const inactiveWindow = model.INACTIVE_WINDOW_SECONDS[server.instance] || model.INACTIVE_WINDOW_SECONDS.prod;
         progress = (currentNow - (target - inactiveWindow)) / inactiveWindow;
     }
     progress = Math.max(0, Math.min(1, progress));
-    ring.setAttribute('stroke-dashoffset', String(circumference * progress));
+    ring.setAttribute('stroke-dashoffset', ringOffset(progress));
     svg.append(track, ring);
-    const countdown = document.createElement('div'); countdown.className = 'countdown-text'; countdown.textContent = formatTime(target);
-    const label = document.createElement('div'); label.className = 'countdown-label'; label.textContent = timerLabel(status);
+    const countdown = document.createElement('div'); countdown.className = 'countdown-text'; countdown.textContent = (prediction ? '~' : '') + formatTarget(target);
+    countdown.setAttribute('role', 'timer');
+    const label = document.createElement('div'); label.className = 'countdown-label'; label.textContent = prediction ? t('timerPredicted') : timerLabel(status);
     wrap.append(svg, label, countdown); header.append(wrap); card.append(header);
     card.dataset.target = String(target || '');
     card.dataset.nextName = selection.next ? missionName(selection.next) : '';
     card.dataset.nextOpen = String(selection.next?.open_time_unix || '');
-    card.dataset.refreshTarget = String(refreshTarget || '');
     card.dataset.status = status;
+    card.dataset.predicted = prediction ? prediction.confidence : '';
     card.dataset.openTime = String(current?.open_time_unix || '');
     card.dataset.closeTime = String(current?.close_time_unix || '');
-    card.dataset.inactiveWindow = String(server.instance === 'test' ? 60 : 27 * 60);
+    card.dataset.inactiveWindow = String(model.INACTIVE_WINDOW_SECONDS[server.instance] || model.INACTIVE_WINDOW_SECONDS.prod);
+    card.dataset.key = preferences.serverKey(server.instance, server.server_id);
+    card.dataset.server = serverLabel(server.name || String(server.server_id), server.instance);
+    card.dataset.mission = current ? name : '';
+    card.tabIndex = 0; card.setAttribute('role', 'group'); card.setAttribute('aria-label', cardSummary(card, target));
     return card;
 }
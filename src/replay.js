@@ -0,0 +1,87 @@
+(function (root, factory) {
+    const api = factory();
+    if (typeof module !== 'undefined' && module.exports) module.exports = api;
+    root.EventPeeperReplay = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+    // RECORDINGS_KEY only lists summaries; each recording's frames sit under their own key, so a new frame rewrites one
+    // recording and a worker with nothing to record or replay reads none of them.
+    const RECORDINGS_KEY = 'event-peeper:recordings';
+    const RECORDING_PREFIX = 'event-peeper:recording:';
+    const ACTIVE_RECORDING_KEY = 'event-peeper:recording-active';
+    const ENDPOINTS = ['servers', 'missions', 'pvp'];
+    const MAX_FRAMES = 400;
+    const MAX_RECORDINGS = 5;
+    // storage.local holds about 10 MB without unlimitedStorage and also keeps the snapshot cache and history,
+    // so all recordings together stay under this many bytes of JSON and a recording stops when it would go over.
+    const MAX_BYTES = 4 * 1024 * 1024;
+    const SPEEDS = [1, 10, 60, 300];
+    function recordingKey(id) { return RECORDING_PREFIX + id; }
+    function createRecording(now = Math.floor(Date.now() / 1000)) {
+        return {id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6), name: 'Recording ' + new Date(now * 1000).toISOString().slice(0, 16).replace('T', ' '), startedAt: now, endedAt: null, frames: []};
+    }
+    // generated_at_unix moves on every fetch, so it is left out when deciding whether a body changed.
+    function sameBody(a, b) {
+        const strip = body => JSON.stringify({...body, generated_at_unix: null});
+        return !!a && !!b && strip(a) === strip(b);
+    }
+    function lastFrame(recording, endpoint, time = Infinity) {
+        let found = null;
+        for (const frame of recording?.frames || []) if (frame.endpoint === endpoint && frame.at <= time) found = frame;
+        return found;
+    }
+    function byteSize(value) { return new TextEncoder().encode(JSON.stringify(value)).length; }
+    // Recordings keep a running total, so the budget check does not serialize every frame on each fetch.
+    function recordingBytes(recording) { return Number.isFinite(recording?.bytes) ? recording.bytes : byteSize(recording?.frames || []); }
+    function totalBytes(recordings) { return (recordings || []).reduce((sum, recording) => sum + recordingBytes(recording), 0); }
+    // `budget` is what the other recordings leave of MAX_BYTES.
+    function addFrame(recording, endpoint, body, at = Math.floor(Date.now() / 1000), budget = MAX_BYTES) {
+        if (!recording || recording.endedAt != null || !ENDPOINTS.includes(endpoint) || !body || typeof body !== 'object' || !Object.keys(body).length) return recording;
+        if (sameBody(lastFrame(recording, endpoint)?.body, body)) return recording;
+        const frame = {at, endpoint, body: JSON.parse(JSON.stringify(body))}, bytes = recordingBytes(recording) + byteSize(frame);
+        if (bytes > budget) return {...recording, endedAt: at, stopReason: 'size'};
+        const frames = recording.frames.concat(frame);
+        return {...recording, frames, bytes, endedAt: frames.length >= MAX_FRAMES ? at : null, stopReason: frames.length >= MAX_FRAMES ? 'frames' : null};
+    }
+    function bodiesAt(recording, time) {
+        const bodies = {};
+        for (const endpoint of ENDPOINTS) bodies[endpoint] = lastFrame(recording, endpoint, time)?.body || {};
+        return bodies;
+    }
+    function nextFrameTime(recording, time) {
+        return (recording?.frames || []).map(frame => frame.at).filter(at => at > time).sort((a, b) => a - b)[0] ?? null;
+    }
+    function bounds(recording) {
+        const times = (recording?.frames || []).map(frame => frame.at);
+        return {start: Number(recording?.startedAt) || Math.min(...times), end: Math.max(Number(recording?.endedAt) || 0, ...times, Number(recording?.startedAt) || 0)};
+    }
+    function summary(recording) {
+        const {start, end} = bounds(recording);
+        return {id: recording.id, name: recording.name, startedAt: start, endedAt: recording.endedAt, duration: end - start, frames: recording.frames.length, bytes: recordingBytes(recording), stopReason: recording.stopReason || null};
+    }
+    function normalizeRecording(value) {
+        if (!value || typeof value !== 'object' || !Array.isArray(value.frames)) return null;
+        const frames = value.frames.filter(frame => frame && ENDPOINTS.includes(frame.endpoint) && Number.isFinite(frame.at) && frame.body && typeof frame.body === 'object')
+            .sort((a, b) => a.at - b.at).slice(0, MAX_FRAMES);
+        if (!frames.length) return null;
+        const startedAt = Number.isFinite(value.startedAt) ? value.startedAt : frames[0].at;
+        return {id: String(value.id || createRecording().id), name: String(value.name || 'Imported recording'), startedAt, endedAt: Number.isFinite(value.endedAt) ? value.endedAt : frames[frames.length - 1].at, frames, bytes: byteSize(frames)};
+    }
+    // The virtual clock is an anchor: a recording time paired with the real moment it was set, advancing at `speed` while playing.
+    function createClock(recording, realMs = Date.now()) {
+        const {start, end} = bounds(recording);
+        return {id: recording.id, name: recording.name, start, end, time: start, anchorMs: realMs, speed: 1, playing: false};
+    }
+    function virtualNow(clock, realMs = Date.now()) {
+        if (!clock) return realMs / 1000;
+        const elapsed = clock.playing ? (realMs - clock.anchorMs) / 1000 * clock.speed : 0;
+        return Math.min(clock.end, clock.time + elapsed);
+    }
+    function updateClock(clock, {time, speed, playing}, realMs = Date.now()) {
+        const current = virtualNow(clock, realMs);
+        return {
+            ...clock, anchorMs: realMs, time: Math.max(clock.start, Math.min(clock.end, time ?? current)),
+            speed: SPEEDS.includes(speed) ? speed : clock.speed, playing: playing ?? clock.playing
+        };
+    }
+    return {RECORDINGS_KEY, ACTIVE_RECORDING_KEY, recordingKey, MAX_FRAMES, MAX_RECORDINGS, MAX_BYTES, SPEEDS, createRecording, recordingBytes, totalBytes, addFrame, bodiesAt, nextFrameTime, bounds, summary, normalizeRecording, createClock, virtualNow, updateClock};
+});
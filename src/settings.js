@@ -0,0 +1,212 @@
+(function (root, factory) {
+    const api = factory();
+    if (typeof module !== 'undefined' && module.exports) module.exports = api;
+    root.EventPeeperSettings = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+    // Before version 1 everything lived in this one storage.local item; it is now only read to migrate from.
+    const SETTINGS_KEY = 'event-peeper:settings';
+    const SETTINGS_VERSION = 1;
+    const VERSION_KEY = SETTINGS_KEY + ':version';
+    const LOCAL_KEY = SETTINGS_KEY + ':local';
+    const EXPORT_FORMAT = 'event-peeper-settings';
+    const DEFAULT_API_BASE = 'https://dsa-api.certainhuman.com/v2';
+    const SORT_MODES = ['api', 'soonest', 'status', 'name'];
+    // 'auto' follows the system's prefers-reduced-motion; 'reduce' turns it on regardless.
+    const MOTION_MODES = ['auto', 'reduce'];
+    const DEFAULTS = {
+        api: {base: DEFAULT_API_BASE},
+        // types narrows the lists to those mission types ('pvp' included); empty means no narrowing.
+        display: {hiddenInstances: [], hiddenServers: [], clock: 'auto', times: 'relative', pinned: [], sort: 'api', types: [], motion: 'auto'},
+        refresh: {pollMinutes: 5},
+        stream: {enabled: false, protocol: 'sse', url: ''},
+        notifications: {enabled: true, pvpLeadMinutes: 5, quietHours: {enabled: false, start: '23:00', end: '07:00'}, watch: {}},
+        badge: {mode: 'open', server: ''},
+        webhooks: []
+    };
+    // Each section is its own sync item, which keeps every item under storage.sync's 8 KB limit.
+    const SYNC_SECTIONS = ['api', 'display', 'refresh', 'stream', 'notifications', 'badge'];
+    // migrations[n] turns version n into n + 1. Version 0 is the storage.local item, which differs only by the popup's list
+    // filter; that now lives in the popup's session state.
+    const migrations = [
+        settings => {
+            if (!isPlainObject(settings.display)) return settings;
+            const {filter, ...display} = settings.display;
+            return {...settings, display};
+        }
+    ];
+    let syncChecked = null;
+    // Text comes from _locales; outside the extension the key itself stands in.
+    function message(key, ...substitutions) { return globalThis.chrome?.i18n?.getMessage(key, substitutions.map(String)) || key; }
+    function storageApi() { return typeof browser !== 'undefined' ? browser.storage : globalThis.chrome?.storage; }
+    // Firefox refuses storage.sync to add-ons without an explicit ID, such as temporary installs, so those keep everything local.
+    function syncArea() {
+        if (!syncChecked) {
+            const storage = storageApi();
+            syncChecked = !storage?.sync ? Promise.resolve(storage?.local || null)
+                : Promise.resolve().then(() => storage.sync.get(VERSION_KEY)).then(() => storage.sync, () => storage.local);
+        }
+        return syncChecked;
+    }
+    function isPlainObject(value) { return !!value && typeof value === 'object' && !Array.isArray(value); }
+    function merge(defaults, value) {
+        if (Array.isArray(defaults)) return Array.isArray(value) ? value : defaults;
+        if (!isPlainObject(defaults)) return value === undefined || (defaults != null && typeof value !== typeof defaults) ? defaults : value;
+        const source = isPlainObject(value) ? value : {}, result = {};
+        for (const key of new Set([...Object.keys(defaults), ...Object.keys(source)])) result[key] = merge(defaults[key], source[key]);
+        return result;
+    }
+    function strings(list) { return list.filter(entry => typeof entry === 'string'); }
+    // merge() only checks that lists are lists; synced and imported values can still hold anything inside them.
+    function normalize(value) {
+        const settings = merge(DEFAULTS, value), display = settings.display;
+        if (!SORT_MODES.includes(display.sort)) display.sort = DEFAULTS.display.sort;
+        if (!MOTION_MODES.includes(display.motion)) display.motion = DEFAULTS.display.motion;
+        for (const key of ['hiddenInstances', 'hiddenServers', 'pinned', 'types']) display[key] = strings(display[key]);
+        settings.notifications.watch = Object.fromEntries(Object.entries(settings.notifications.watch)
+            .filter(([, types]) => Array.isArray(types)).map(([key, types]) => [key, strings(types)]));
+        settings.webhooks = settings.webhooks.filter(isPlainObject);
+        return settings;
+    }
+    function migrate(value, version) {
+        let settings = isPlainObject(value) ? value : {};
+        for (let index = Math.max(0, Number(version) || 0); index < SETTINGS_VERSION; index++) settings = migrations[index](settings);
+        return settings;
+    }
+    // Webhooks stay on the device that set them up, since every synced browser would post each event again.
+    function split(settings) {
+        const {webhooks, ...shared} = settings;
+        return {shared, device: {webhooks}};
+    }
+    function join(shared, device) {
+        return normalize({...shared, webhooks: device?.webhooks});
+    }
+    const CHANGE_SETTLE_MS = 50;
+    const SYNC_KEYS = [VERSION_KEY, ...SYNC_SECTIONS.map(section => SETTINGS_KEY + ':' + section)];
+    // The raw items as stored: synced holds the version and sections, stored the device item and any legacy item.
+    async function readStored() {
+        const sync = await syncArea(), local = storageApi().local;
+        const [synced, stored] = await Promise.all([sync.get(SYNC_KEYS), local.get([LOCAL_KEY, SETTINGS_KEY])]);
+        return {synced: {...synced}, stored: {...stored}};
+    }
+    function assemble({synced, stored}) {
+        // Settings already synced from another browser win over this one's old item; its device-only parts are still carried over.
+        const legacy = stored[SETTINGS_KEY] ? split(normalize(migrate(stored[SETTINGS_KEY], 0))) : null, shared = {};
+        for (const section of SYNC_SECTIONS) if (synced[SETTINGS_KEY + ':' + section] !== undefined) shared[section] = synced[SETTINGS_KEY + ':' + section];
+        return join(synced[VERSION_KEY] != null ? migrate(shared, synced[VERSION_KEY]) : legacy?.shared, stored[LOCAL_KEY] || legacy?.device);
+    }
+    async function load() {
+        const local = storageApi()?.local;
+        if (!local) return normalize({});
+        try {
+            const raw = await readStored(), settings = assemble(raw);
+            // Like an import from a newer version, newer synced settings are not migrated; they are read as far as this version
+            // understands them, and save() leaves them alone.
+            if (isNewer(raw.synced[VERSION_KEY])) console.warn('Settings were saved by a newer version of Event Peeper');
+            if (raw.stored[SETTINGS_KEY]) {
+                // The device item is written before a newer version can stop the save, so the old item is safe to drop either way.
+                await save(settings).catch(error => console.warn(error.message));
+                await local.remove(SETTINGS_KEY);
+            }
+            return settings;
+        } catch (error) {
+            console.error('Failed to load settings:', error);
+            return normalize({});
+        }
+    }
+    function isNewer(version) { return Number(version) > SETTINGS_VERSION; }
+    async function save(settings) {
+        const normalized = normalize(settings), local = storageApi()?.local;
+        if (!local) return normalized;
+        const {shared, device} = split(normalized), sync = await syncArea(), items = {[VERSION_KEY]: SETTINGS_VERSION};
+        for (const section of SYNC_SECTIONS) items[SETTINGS_KEY + ':' + section] = shared[section];
+        // storage.sync caps writes at 120 a minute and 1,800 an hour, so only sections that differ from what is stored are written.
+        const stored = await sync.get(Object.keys(items));
+        // Writing this version's sections under a lower version would make a newer browser skip migrating them.
+        if (isNewer(stored[VERSION_KEY])) {
+            await local.set({[LOCAL_KEY]: device});
+            throw new Error(message('settingsNewer'));
+        }
+        for (const key of Object.keys(items)) if (JSON.stringify(stored[key]) === JSON.stringify(items[key])) delete items[key];
+        await Promise.all([Object.keys(items).length ? sync.set(items) : null, local.set({[LOCAL_KEY]: device})]);
+        return normalized;
+    }
+    // Changes are applied to the last known items in the order they arrive instead of reloading, so a slow read can never
+    // land after a newer one. A save touches both areas, so its events are let settle and reported once, if anything changed.
+    function onChange(callback) {
+        const storage = storageApi();
+        if (!storage?.local || !storage.onChanged) return;
+        let known = readStored().catch(() => ({synced: {}, stored: {}})), last = known.then(raw => JSON.stringify(assemble(raw))), timer = null;
+        storage.onChanged.addListener((changes, area) => {
+            const keys = Object.keys(changes).filter(key => SYNC_KEYS.includes(key) || key === LOCAL_KEY || key === SETTINGS_KEY);
+            if ((area !== 'sync' && area !== 'local') || !keys.length) return;
+            known = known.then(raw => {
+                for (const key of keys) {
+                    // Key names alone tell the two items apart, which also covers storage.sync falling back to local.
+                    const target = SYNC_KEYS.includes(key) ? raw.synced : raw.stored;
+                    if (changes[key].newValue === undefined) delete target[key];
+                    else target[key] = changes[key].newValue;
+                }
+                return raw;
+            });
+            clearTimeout(timer);
+            timer = setTimeout(() => {
+                last = Promise.all([known, last]).then(([raw, previous]) => {
+                    const settings = assemble(raw), text = JSON.stringify(settings);
+                    if (text !== previous) callback(settings);
+                    return text;
+                }).catch(error => { console.error('Failed to apply settings change:', error); return null; });
+            }, CHANGE_SETTLE_MS);
+        });
+    }
+    function exportSettings(settings) {
+        return JSON.stringify({format: EXPORT_FORMAT, version: SETTINGS_VERSION, exported_at: new Date().toISOString(), settings: split(normalize(settings)).shared}, null, 2);
+    }
+    // Returns the imported settings with this device's webhooks kept, or throws with a message to show.
+    function importSettings(text, current) {
+        let file;
+        try { file = JSON.parse(text); } catch { throw new Error(message('importNotJson')); }
+        if (file?.format !== EXPORT_FORMAT || !isPlainObject(file.settings)) throw new Error(message('importNotExport'));
+        if (isNewer(file.version)) throw new Error(message('importNewer'));
+        return join(split(normalize(migrate(file.settings, file.version))).shared, split(normalize(current)).device);
+    }
+    function serverKey(instance, serverId) { return instance + ':' + serverId; }
+    function watchedTypes(settings, instance, serverId) {
+        const types = settings?.notifications?.watch?.[serverKey(instance, serverId)];
+        return Array.isArray(types) ? types : [];
+    }
+    function isWatched(settings, instance, serverId, type) { return !!type && watchedTypes(settings, instance, serverId).includes(type); }
+    function isHidden(settings, instance, serverId) {
+        const display = settings?.display;
+        return !!display && (display.hiddenInstances.includes(instance) || display.hiddenServers.includes(serverKey(instance, serverId)));
+    }
+    // The snapshot without the servers and PvP events hidden in options, which is what every list, the badge and the calendar show.
+    function visibleSnapshot(settings, snapshot) {
+        const servers = {};
+        for (const [instance, list] of Object.entries(snapshot?.servers || {})) servers[instance] = (list || []).filter(server => !isHidden(settings, instance, server.server_id));
+        return {...snapshot, servers, pvpEvents: (snapshot?.pvpEvents || []).filter(event => !isHidden(settings, event.instance || 'prod', event.server_id))};
+    }
+    function isPinned(settings, instance, serverId) { return !!settings?.display?.pinned?.includes(serverKey(instance, serverId)); }
+    function normalizeApiBase(text) {
+        try {
+            const url = new URL(String(text || '').trim());
+            if (url.protocol !== 'https:' && url.protocol !== 'http:') return null;
+            return (url.origin + url.pathname).replace(/\/+$/, '');
+        } catch { return null; }
+    }
+    function apiBase(settings) { return normalizeApiBase(settings?.api?.base) || DEFAULT_API_BASE; }
+    function originPattern(url) { const parsed = new URL(url); return parsed.protocol + '//' + parsed.hostname + '/*'; }
+    function minutesOfDay(text) {
+        const match = /^(\d{1,2}):(\d{2})$/.exec(String(text || ''));
+        return match ? (Number(match[1]) % 24) * 60 + Number(match[2]) % 60 : null;
+    }
+    function inQuietHours(settings, date = new Date()) {
+        const quiet = settings?.notifications?.quietHours;
+        if (!quiet?.enabled) return false;
+        const start = minutesOfDay(quiet.start), end = minutesOfDay(quiet.end);
+        if (start == null || end == null || start === end) return false;
+        const current = date.getHours() * 60 + date.getMinutes();
+        // Windows such as 23:00-07:00 wrap past midnight.
+        return start < end ? current >= start && current < end : current >= start || current < end;
+    }
+    return {SETTINGS_KEY, SETTINGS_VERSION, DEFAULT_API_BASE, SORT_MODES, MOTION_MODES, DEFAULTS, normalize, load, save, onChange, exportSettings, importSettings, serverKey, watchedTypes, isWatched, isHidden, visibleSnapshot, isPinned, normalizeApiBase, apiBase, originPattern, inQuietHours};
+});
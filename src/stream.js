@@ -0,0 +1,82 @@
+(function (root, factory) {
+    const api = factory();
+    if (typeof module !== 'undefined' && module.exports) module.exports = api;
+    root.EventPeeperStream = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+    const PROTOCOLS = ['sse', 'websocket'];
+    const BASE_DELAY_MS = 1_000;
+    const MAX_DELAY_MS = 5 * 60_000;
+    function streamUrl(apiBase, custom, protocol) {
+        const url = new URL(custom || apiBase + '/stream');
+        if (protocol === 'websocket' && url.protocol.startsWith('http')) url.protocol = url.protocol === 'https:' ? 'wss:' : 'ws:';
+        if (protocol === 'sse' && url.protocol.startsWith('ws')) url.protocol = url.protocol === 'wss:' ? 'https:' : 'http:';
+        return url.href;
+    }
+    // EventSource is missing from service workers, so SSE is read off a plain fetch body instead.
+    async function readEvents(body, onData) {
+        const reader = body.getReader(), decoder = new TextDecoder();
+        let buffer = '', data = [];
+        for (;;) {
+            const {value, done} = await reader.read();
+            if (done) return;
+            buffer += decoder.decode(value, {stream: true});
+            for (let index = buffer.indexOf('\n'); index !== -1; index = buffer.indexOf('\n')) {
+                const line = buffer.slice(0, index).replace(/\r$/, '');
+                buffer = buffer.slice(index + 1);
+                if (!line) { if (data.length) onData(data.join('\n')); data = []; }
+                else if (line.startsWith('data:')) data.push(line.slice(5).replace(/^ /, ''));
+            }
+        }
+    }
+    function createStream({url, protocol = 'sse', headers = {}, onMessage, onStatus}) {
+        let stopped = true, attempt = 0, timer = null, controller = null, socket = null;
+        function receive(text) {
+            attempt = 0;
+            let message;
+            try { message = JSON.parse(text); } catch { console.warn('Ignoring malformed stream message'); return; }
+            onMessage(message);
+        }
+        function reconnect() {
+            if (stopped) return;
+            onStatus('connecting');
+            const delay = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** attempt) * (0.5 + Math.random() / 2);
+            attempt++;
+            timer = setTimeout(connect, delay);
+        }
+        async function connectEvents() {
+            controller = new AbortController();
+            try {
+                const response = await fetch(url, {cache: 'no-store', headers: {Accept: 'text/event-stream', ...headers}, signal: controller.signal});
+                if (!response.ok || !response.body) throw new Error(`HTTP ${response.status}`);
+                onStatus('live');
+                await readEvents(response.body, receive);
+            } catch (error) {
+                if (!stopped) console.warn('Event stream dropped:', error?.message || error);
+            }
+            reconnect();
+        }
+        function connectSocket() {
+            try { socket = new WebSocket(url); }
+            catch (error) { console.warn('WebSocket failed:', error?.message || error); reconnect(); return; }
+            socket.onopen = () => onStatus('live');
+            socket.onmessage = event => receive(event.data);
+            socket.onclose = () => { socket = null; reconnect(); };
+        }
+        function connect() {
+            if (stopped) return;
+            onStatus('connecting');
+            if (protocol === 'websocket') connectSocket(); else connectEvents();
+        }
+        return {
+            start() { if (!stopped) return; stopped = false; attempt = 0; connect(); },
+            stop() {
+                stopped = true;
+                clearTimeout(timer);
+                controller?.abort();
+                socket?.close();
+                onStatus('offline');
+            }
+        };
+    }
+    return {PROTOCOLS, streamUrl, createStream};
+});
@@ -5,6 +5,27 @@
 })(typeof globalThis !== 'undefined' ? globalThis : this, function () {
     const INSTANCES = ['prod', 'test'];
     const CLOSED_DURATION_SECONDS = 60;
+    const ANNOUNCE_LEAD_SECONDS = 3 * 60;
+    // Quiet time between a mission concluding and the next one being announced.
+    const INACTIVE_WINDOW_SECONDS = {prod: 27 * 60, test: 60};
+    const MISSION_TYPES = ['pits', 'vulture', 'canary'];
+    const MISSION_STATUSES = ['announced', 'open', 'closed', 'concluded'];
+    // Bump alongside SCHEMA when the API changes shape; bodies reporting another schema_version still load, but are flagged.
+    const SCHEMA_VERSION = 1;
+    // Expected field types per row; a trailing '?' marks a field that may be missing or null.
+    const SCHEMA = {
+        server: {server_id: 'id', server_name: 'string?', active: 'flag?'},
+        missionServer: {server_id: 'id', missions: 'array'},
+        mission: {mission_name: 'string', status: 'string', open_time_unix: 'number', close_time_unix: 'number?'},
+        pvp: {start_unix: 'number', server_id: 'id?', server_option_id: 'id?'}
+    };
+    const TYPE_CHECKS = {
+        id: value => Number.isFinite(value) || (typeof value === 'string' && value !== ''), string: value => typeof value === 'string',
+        number: value => Number.isFinite(value), array: Array.isArray, flag: value => typeof value === 'boolean' || value === 0 || value === 1
+    };
+    const TYPE_NAMES = {id: 'a number or string', string: 'a string', number: 'a number', array: 'an array', flag: 'a boolean'};
+    const MAX_CLOCK_SKEW_SECONDS = 120;
+    const MAX_WARNINGS = 100;
     function instanceValue(body, instance) { return body?.instances?.[instance] || {}; }
     function emptyInstances() { return {prod: [], test: []}; }
     function normalizeServers(body) {
@@ -39,11 +60,113 @@
             return {...event, server_name: server?.name || (event.server_id == null ? null : String(event.server_id)), instance: 'prod'};
         }).sort((a, b) => Number(a.start_unix || 0) - Number(b.start_unix || 0));
     }
-    function createSnapshot({serversBody, missionsBody, pvpBody, generatedAt = {}, savedAt = Date.now(), errors = {}, loading = false}) {
+    // The normalizers above coerce whatever arrives; this reports what they had to paper over.
+    // receivedAt holds the local unix time each body arrived, so generated_at_unix can be checked for clock skew.
+    function validateBodies(bodies, {receivedAt = {}} = {}) {
+        const warnings = [];
+        const warn = (endpoint, code, path, message, extra = {}) => { if (warnings.length < MAX_WARNINGS) warnings.push({endpoint, code, path, message, ...extra}); };
+        function checkRow(endpoint, row, schema, path) {
+            if (!row || typeof row !== 'object' || Array.isArray(row)) { warn(endpoint, 'invalid-row', path, 'Expected an object, got ' + JSON.stringify(row)); return false; }
+            for (const [field, spec] of Object.entries(schema)) {
+                const type = spec.replace('?', ''), value = row[field];
+                if (value == null) { if (!spec.endsWith('?')) warn(endpoint, 'missing-field', path + '.' + field, 'Missing ' + field); }
+                else if (!TYPE_CHECKS[type](value)) warn(endpoint, 'wrong-type', path + '.' + field, field + ' should be ' + TYPE_NAMES[type] + ', got ' + JSON.stringify(value));
+            }
+            return true;
+        }
+        function rows(endpoint, body, field, path) {
+            if (Array.isArray(body[field])) return body[field];
+            if (body[field] != null) warn(endpoint, 'wrong-type', path + field, field + ' should be an array');
+            return [];
+        }
+        const present = {}, known = {prod: new Set(), test: new Set()};
+        for (const endpoint of ['servers', 'missions', 'pvp']) {
+            const body = bodies?.[endpoint];
+            if (body == null || (typeof body === 'object' && !Array.isArray(body) && !Object.keys(body).length)) continue;
+            if (typeof body !== 'object' || Array.isArray(body)) { warn(endpoint, 'invalid-body', '', 'Response is not a JSON object'); continue; }
+            present[endpoint] = body;
+            if (body.schema_version != null && Number(body.schema_version) !== SCHEMA_VERSION) {
+                warn(endpoint, 'schema-version', 'schema_version', 'API reports schema ' + body.schema_version + ', this build understands ' + SCHEMA_VERSION);
+            }
+            const generated = body.generated_at_unix, received = Number(receivedAt[endpoint]);
+            if (generated == null) warn(endpoint, 'missing-field', 'generated_at_unix', 'Missing generated_at_unix');
+            else if (!Number.isFinite(generated)) warn(endpoint, 'wrong-type', 'generated_at_unix', 'generated_at_unix should be a number, got ' + JSON.stringify(generated));
+            else if (received > 0 && Math.abs(generated - received) > MAX_CLOCK_SKEW_SECONDS) {
+                const skew = Math.round(generated - received);
+                warn(endpoint, 'clock-skew', 'generated_at_unix', 'Server time is ' + Math.abs(skew) + 's ' + (skew > 0 ? 'ahead of' : 'behind') + ' the local clock', {skew});
+            }
+            if (endpoint !== 'pvp' && (!body.instances || typeof body.instances !== 'object')) warn(endpoint, 'missing-field', 'instances', 'Missing instances');
+        }
+        if (present.servers) {
+            for (const instance of INSTANCES) {
+                rows('servers', instanceValue(present.servers, instance), 'servers', 'instances.' + instance + '.').forEach((server, index) => {
+                    if (checkRow('servers', server, SCHEMA.server, `instances.${instance}.servers[${index}]`)) known[instance].add(String(server.server_id));
+                });
+            }
+        }
+        if (present.missions) {
+            for (const instance of INSTANCES) {
+                rows('missions', instanceValue(present.missions, instance), 'servers', 'instances.' + instance + '.').forEach((server, index) => {
+                    const path = `instances.${instance}.servers[${index}]`;
+                    if (!checkRow('missions', server, SCHEMA.missionServer, path)) return;
+                    if (present.servers && !known[instance].has(String(server.server_id))) {
+                        warn('missions', 'orphaned-server', path, 'Missions for server ' + server.server_id + ', which the servers endpoint does not list', {instance, server_id: server.server_id});
+                    }
+                    (Array.isArray(server.missions) ? server.missions : []).forEach((mission, position) => {
+                        const missionPath = path + `.missions[${position}]`;
+                        if (checkRow('missions', mission, SCHEMA.mission, missionPath) && typeof mission.status === 'string' && !MISSION_STATUSES.includes(mission.status)) {
+                            warn('missions', 'unknown-status', missionPath + '.status', 'Unknown mission status "' + mission.status + '"', {instance, server_id: server.server_id});
+                        }
+                    });
+                });
+            }
+        }
+        if (present.pvp) {
+            rows('pvp', present.pvp, 'events', '').forEach((event, index) => {
+                const path = `events[${index}]`;
+                if (!checkRow('pvp', event, SCHEMA.pvp, path)) return;
+                if (event.server_id == null && event.server_option_id == null) warn('pvp', 'missing-field', path, 'Event has neither server_id nor server_option_id');
+                else if (event.server_id != null && present.servers && !known.prod.has(String(event.server_id))) {
+                    warn('pvp', 'orphaned-server', path + '.server_id', 'PvP event for server ' + event.server_id + ', which the servers endpoint does not list', {instance: 'prod', server_id: event.server_id});
+                }
+            });
+        }
+        return warnings;
+    }
+    function createSnapshot({serversBody, missionsBody, pvpBody, generatedAt = {}, receivedAt = {}, savedAt = Date.now(), errors = {}, loading = false}) {
         const servers = normalizeServers(serversBody || {});
         return {servers, missionServers: normalizeMissions(missionsBody || {}, servers), pvpEvents: normalizePvp(pvpBody || {}, servers),
             generatedAt: {servers: generatedAt.servers ?? serversBody?.generated_at_unix ?? null, missions: generatedAt.missions ?? missionsBody?.generated_at_unix ?? null, pvp: generatedAt.pvp ?? pvpBody?.generated_at_unix ?? null},
-            savedAt, errors, loading};
+            warnings: validateBodies({servers: serversBody, missions: missionsBody, pvp: pvpBody}, {receivedAt}), savedAt, errors, loading};
+    }
+    function upsert(list, item, same) {
+        const index = list.findIndex(entry => same(entry, item));
+        return index === -1 ? list.concat(item) : list.map((entry, position) => position === index ? item : entry);
+    }
+    // Stream deltas either replace a whole endpoint body ({endpoint, body}), upsert or remove one server row
+    // ({endpoint: 'servers' | 'missions', instance, server, remove}) or one PvP event ({endpoint: 'pvp', event, remove}).
+    // A generated_at_unix on the delta moves the body's own timestamp forward, as a fresh fetch would.
+    function applyDelta(bodies, delta) {
+        const name = delta?.endpoint;
+        if (!['servers', 'missions', 'pvp'].includes(name)) return null;
+        if (delta.body && typeof delta.body === 'object') return {...bodies, [name]: delta.generated_at_unix != null ? {...delta.body, generated_at_unix: delta.generated_at_unix} : delta.body};
+        const body = {...(bodies?.[name] || {})};
+        if (delta.generated_at_unix != null) body.generated_at_unix = delta.generated_at_unix;
+        if (name === 'pvp') {
+            if (!delta.event) return null;
+            const same = (a, b) => String(a.server_id ?? 'option-' + a.server_option_id) === String(b.server_id ?? 'option-' + b.server_option_id) && Number(a.start_unix) === Number(b.start_unix);
+            const events = Array.isArray(body.events) ? body.events : [];
+            body.events = delta.remove ? events.filter(event => !same(event, delta.event)) : upsert(events, delta.event, same);
+        } else {
+            if (!INSTANCES.includes(delta.instance) || delta.server?.server_id == null) return null;
+            const same = (a, b) => String(a.server_id) === String(b.server_id);
+            const instances = {...(body.instances || {})}, instance = {...(instances[delta.instance] || {})};
+            const servers = Array.isArray(instance.servers) ? instance.servers : [];
+            instance.servers = delta.remove ? servers.filter(server => !same(server, delta.server)) : upsert(servers, delta.server, same);
+            instances[delta.instance] = instance;
+            body.instances = instances;
+        }
+        return {...bodies, [name]: body};
     }
     function selectMissions(server, now = Math.floor(Date.now() / 1000)) {
         const missions = (server?.missions || []).filter(m => m && m.status !== 'concluded').slice().sort((a, b) => Number(a.open_time_unix || 0) - Number(b.open_time_unix || 0));
@@ -62,7 +185,7 @@
             if (Number.isFinite(closedAt) && closedAt > 0) return closedAt + CLOSED_DURATION_SECONDS;
         }
         const nextOpen = Number(selection?.next?.open_time_unix || server?.next_open_time_unix || server?.next_predicted_open_time_unix);
-        if (!current) return Number.isFinite(nextOpen) && nextOpen > 0 ? nextOpen - (3 * 60) : null;
+        if (!current) return Number.isFinite(nextOpen) && nextOpen > 0 ? nextOpen - ANNOUNCE_LEAD_SECONDS : null;
         return Number.isFinite(nextOpen) && nextOpen > 0 ? nextOpen : null;
     }
     function missionRefreshTarget(server, selection) {
@@ -74,7 +197,89 @@
             if (Number.isFinite(closedAt) && closedAt > 0) return closedAt + CLOSED_DURATION_SECONDS;
         }
         const nextOpen = Number(selection?.next?.open_time_unix || server?.next_open_time_unix || server?.next_predicted_open_time_unix);
-        return Number.isFinite(nextOpen) && nextOpen > 0 ? nextOpen - (3 * 60) : null;
+        return Number.isFinite(nextOpen) && nextOpen > 0 ? nextOpen - ANNOUNCE_LEAD_SECONDS : null;
+    }
+    function serverStates(snapshot, now = Math.floor(Date.now() / 1000)) {
+        const states = [];
+        for (const instance of INSTANCES) {
+            const missionMap = new Map((snapshot?.missionServers?.[instance] || []).map(server => [server.server_id, server]));
+            for (const server of snapshot?.servers?.[instance] || []) {
+                const missionServer = missionMap.get(server.server_id) || {...server, missions: []};
+                const selection = selectMissions(missionServer, now);
+                states.push({instance, server, missionServer, selection, status: selection.current?.status || 'inactive', target: missionTarget(missionServer, selection)});
+            }
+        }
+        return states;
+    }
+    // The earliest moment each endpoint is expected to change: the next mission boundary for missions, the next PvP start for pvp.
+    function refreshTargets(snapshot, now = Math.floor(Date.now() / 1000)) {
+        const missions = serverStates(snapshot, now).map(state => missionRefreshTarget(state.missionServer, state.selection)).filter(Boolean);
+        const pvp = (snapshot?.pvpEvents || []).map(event => Number(event.start_unix)).filter(start => start >= now);
+        return {missions: missions.length ? Math.min(...missions) : null, pvp: pvp.length ? Math.min(...pvp) : null};
+    }
+    function formatMinutes(seconds) {
+        const minutes = Math.max(0, Math.ceil(seconds / 60));
+        return minutes >= 100 ? Math.round(minutes / 60) + 'h' : minutes + 'm';
+    }
+    // Text comes from _locales; outside the extension the key itself stands in.
+    function message(key, ...substitutions) { return globalThis.chrome?.i18n?.getMessage(key, substitutions.map(String)) || key; }
+    const STATE_PHRASES = {inactive: 'badgeNextAnnounce', announced: 'timer_announced', open: 'timer_open', closed: 'timer_closed'};
+    function badgeState(snapshot, {mode = 'open', server: pinned = ''} = {}, now = Math.floor(Date.now() / 1000)) {
+        const states = serverStates(snapshot, now);
+        const lines = states.map(state => {
+            const current = state.selection.current;
+            const mission = current ? message('missionStatus', current.mission_name || message('mission'), message('status_' + state.status)) : message('badgeInactive');
+            const server = state.instance === 'test' ? message('testServer', state.server.name) : state.server.name;
+            return message('badgeLine', server, state.target > now ? message('badgeCountdown', mission, message(STATE_PHRASES[state.status]), formatMinutes(state.target - now)) : mission);
+        });
+        const title = [message('extName')].concat(lines.length ? lines : [message('noActiveServers')]).join('\n');
+        if (mode === 'countdown') {
+            const state = states.find(entry => entry.instance + ':' + entry.server.server_id === pinned);
+            if (!state) return {text: '', state: 'inactive', title};
+            if ((state.status === 'open' || state.status === 'closed') && state.target > now) return {text: formatMinutes(state.target - now), state: state.status, title};
+            const pvp = state.instance === 'prod' && (snapshot?.pvpEvents || []).find(event => String(event.server_id) === String(state.server.server_id) && Number(event.start_unix) > now);
+            if (pvp && !(state.target > now && state.target < Number(pvp.start_unix))) return {text: formatMinutes(Number(pvp.start_unix) - now), state: 'pvp', title};
+            return state.target > now ? {text: formatMinutes(state.target - now), state: state.status, title} : {text: '', state: state.status, title};
+        }
+        if (mode !== 'open') return {text: '', state: 'inactive', title};
+        const open = states.filter(state => state.status === 'open').length, announced = states.filter(state => state.status === 'announced').length;
+        if (open) return {text: String(open), state: 'open', title};
+        if (announced) return {text: String(announced), state: 'announced', title};
+        return {text: '', state: states.some(state => state.status === 'closed') ? 'closed' : 'inactive', title};
+    }
+    function missionType(mission) {
+        const lower = String(mission?.mission_name || '').toLowerCase();
+        if (lower.includes('pit')) return 'pits';
+        if (lower.includes('vulture')) return 'vulture';
+        if (lower.includes('canary')) return 'canary';
+        return null;
+    }
+    function missionKey(mission) {
+        return mission?.mission_id != null ? String(mission.mission_id) : (mission?.mission_name || 'Mission') + '@' + Number(mission?.open_time_unix || 0);
+    }
+    function missionTransitions(previous, next, now = Math.floor(Date.now() / 1000)) {
+        const transitions = [];
+        const transition = (instance, server, mission, from, to) => transitions.push({
+            instance, server_id: server.server_id, server_name: server.name || String(server.server_id), key: missionKey(mission),
+            mission_name: mission.mission_name || 'Mission', type: missionType(mission), from, to, mission, at: now
+        });
+        for (const instance of INSTANCES) {
+            const before = new Map();
+            for (const server of previous?.missionServers?.[instance] || []) {
+                for (const mission of server.missions || []) if (mission) before.set(server.server_id + '|' + missionKey(mission), {server, mission});
+            }
+            for (const server of next?.missionServers?.[instance] || []) {
+                for (const mission of server.missions || []) {
+                    if (!mission) continue;
+                    const id = server.server_id + '|' + missionKey(mission), from = before.get(id)?.mission.status ?? null;
+                    before.delete(id);
+                    if (from !== mission.status) transition(instance, server, mission, from, mission.status);
+                }
+            }
+            // Missions drop out of the active list once they conclude.
+            for (const {server, mission} of before.values()) if (mission.status !== 'concluded') transition(instance, server, mission, mission.status, 'concluded');
+        }
+        return transitions;
     }
-    return {INSTANCES, CLOSED_DURATION_SECONDS, normalizeServers, normalizeMissions, normalizePvp, createSnapshot, selectMissions, missionTarget, missionRefreshTarget};
+    return {INSTANCES, CLOSED_DURATION_SECONDS, ANNOUNCE_LEAD_SECONDS, INACTIVE_WINDOW_SECONDS, MISSION_TYPES, MISSION_STATUSES, SCHEMA_VERSION, normalizeServers, normalizeMissions, normalizePvp, validateBodies, createSnapshot, applyDelta, selectMissions, missionTarget, missionRefreshTarget, serverStates, refreshTargets, badgeState, missionType, missionKey, missionTransitions};
 });
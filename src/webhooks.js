@@ -0,0 +1,135 @@
+(function (root, factory) {
+    const api = factory();
+    if (typeof module !== 'undefined' && module.exports) module.exports = api;
+    root.EventPeeperWebhooks = api;
+})(typeof globalThis !== 'undefined' ? globalThis : this, function () {
+    const EVENTS = ['announced', 'open', 'pvp'];
+    const FORMATS = ['discord', 'slack', 'json'];
+    const RETRY_DELAYS_MS = [2_000, 8_000, 30_000];
+    const MAX_QUEUE = 20;
+    const DEFAULT_TEMPLATE = '{message}';
+    function createHook() {
+        return {id: Date.now().toString(36) + Math.random().toString(36).slice(2, 6), name: '', url: '', enabled: true, format: 'discord', events: ['announced', 'open', 'pvp'], servers: 'watched', template: DEFAULT_TEMPLATE, perMinute: 10};
+    }
+    function normalizeHook(hook) {
+        const defaults = createHook(), source = hook && typeof hook === 'object' ? hook : {};
+        return {
+            id: String(source.id || defaults.id), name: String(source.name || ''), url: String(source.url || ''), enabled: source.enabled !== false,
+            format: FORMATS.includes(source.format) ? source.format : defaults.format,
+            events: Array.isArray(source.events) ? source.events.filter(event => EVENTS.includes(event)) : defaults.events,
+            servers: source.servers === 'all' ? 'all' : 'watched', template: typeof source.template === 'string' && source.template.trim() ? source.template : DEFAULT_TEMPLATE,
+            perMinute: Math.max(1, Math.min(60, Math.round(Number(source.perMinute) || defaults.perMinute)))
+        };
+    }
+    function minutesUntil(target, now) { return Math.max(0, Math.ceil((Number(target) - now) / 60)); }
+    function contextFromTransition(transition, now = Math.floor(Date.now() / 1000)) {
+        const mission = transition.mission || {}, target = transition.to === 'announced' ? Number(mission.open_time_unix) : Number(mission.close_time_unix) || null;
+        const server = transition.server_name + (transition.instance === 'test' ? ' (test)' : '');
+        const message = transition.to === 'announced'
+            ? `${transition.mission_name} announced on ${server}, opens in ${minutesUntil(target, now)} min`
+            : `${transition.mission_name} is open on ${server}` + (target ? `, closes in ${minutesUntil(target, now)} min` : '');
+        return {event: transition.to, instance: transition.instance, server_id: transition.server_id, server, mission: transition.mission_name, type: transition.type, target_unix: target, minutes: target ? minutesUntil(target, now) : null, at: now, message};
+    }
+    function contextFromPvp(event, now = Math.floor(Date.now() / 1000)) {
+        const server = event.server_name || 'Server option ' + event.server_option_id, target = Number(event.start_unix);
+        return {event: 'pvp', instance: 'prod', server_id: event.server_id, server, mission: 'PvP', type: 'pvp', target_unix: target, minutes: minutesUntil(target, now), at: now, message: `PvP on ${server} starts in ${minutesUntil(target, now)} min`};
+    }
+    function testContext(now = Math.floor(Date.now() / 1000)) {
+        return {event: 'test', instance: 'prod', server_id: null, server: 'Test server', mission: 'Test', type: null, target_unix: now + 180, minutes: 3, at: now, message: 'Event Peeper test message: webhook is working'};
+    }
+    function matches(hook, context, isWatched) {
+        if (!hook.enabled || !hook.url || !hook.events.includes(context.event)) return false;
+        return hook.servers === 'all' || isWatched(context.instance, context.server_id, context.event === 'pvp' ? 'pvp' : context.type);
+    }
+    function renderTemplate(template, context) {
+        const values = {...context, time: context.target_unix ? new Date(context.target_unix * 1000).toISOString() : ''};
+        return String(template || DEFAULT_TEMPLATE).replace(/\{(\w+)\}/g, (placeholder, name) => values[name] == null ? placeholder : String(values[name]));
+    }
+    function buildBody(hook, context) {
+        const text = renderTemplate(hook.template, context);
+        if (hook.format === 'discord') return {content: text, username: 'Event Peeper'};
+        if (hook.format === 'slack') return {text};
+        return {...context, text};
+    }
+    function retryDelay(attempt, response) {
+        // Honour Retry-After from rate-limited chat servers, otherwise back off with jitter.
+        const retryAfter = Number(response?.headers?.get?.('Retry-After'));
+        if (Number.isFinite(retryAfter) && retryAfter > 0) return retryAfter * 1000;
+        return RETRY_DELAYS_MS[attempt] * (0.75 + Math.random() * 0.5);
+    }
+    // The queue lives in storage rather than memory, so a worker that is suspended mid-retry picks it up again from
+    // load() and is woken through schedule(when) for the next retry or rate-limit window.
+    function createDispatcher({post = (url, init) => fetch(url, init), load = async () => null, save = async () => {}, schedule = () => {}, now = () => Date.now()} = {}) {
+        let pending = Promise.resolve();
+        function serialize(task) {
+            const run = pending.then(task);
+            pending = run.catch(error => console.error('Webhook queue failed:', error));
+            return run;
+        }
+        async function readQueues() {
+            const stored = await load();
+            return stored && typeof stored === 'object' ? stored : {};
+        }
+        async function attempt(hook, context) {
+            try {
+                const response = await post(hook.url, {method: 'POST', headers: {'Content-Type': 'application/json'}, body: JSON.stringify(buildBody(hook, context))});
+                return {ok: response.ok, status: response.status, retryable: response.status === 429 || response.status >= 500, response};
+            } catch (error) {
+                return {ok: false, status: 0, retryable: true, error: String(error?.message || error)};
+            }
+        }
+        async function send(hook, context) {
+            const result = await attempt(hook, context);
+            return {ok: result.ok, status: result.status, error: result.error || (result.ok ? null : 'HTTP ' + result.status)};
+        }
+        // Sends every item that is due and returns when the queue next needs attention, or null once it is empty.
+        async function pump(queue) {
+            while (queue.items.length) {
+                const item = queue.items[0], time = now(), windowStart = time - 60_000;
+                // A reminder for something that has already started is worse than none.
+                if (item.context.target_unix && item.context.target_unix * 1000 <= time) { queue.items.shift(); continue; }
+                if (item.dueAt > time) return item.dueAt;
+                queue.sent = queue.sent.filter(sentAt => sentAt > windowStart);
+                // Retries of a message already counted against the rate limit are not counted again.
+                if (!item.attempts) {
+                    if (queue.sent.length >= item.hook.perMinute) return queue.sent[0] + 60_000;
+                    queue.sent.push(time);
+                }
+                const result = await attempt(item.hook, item.context);
+                if (!result.ok && result.retryable && item.attempts < RETRY_DELAYS_MS.length) {
+                    item.dueAt = now() + retryDelay(item.attempts, result.response);
+                    item.attempts++;
+                    continue;
+                }
+                queue.items.shift();
+                if (!result.ok) console.error(`Webhook ${item.hook.name || item.hook.url} failed:`, result.error || 'HTTP ' + result.status);
+            }
+            return null;
+        }
+        function drain() {
+            return serialize(async () => {
+                const queues = await readQueues();
+                let next = Infinity;
+                for (const [id, queue] of Object.entries(queues)) {
+                    const when = await pump(queue);
+                    if (when == null && !queue.sent.some(sentAt => sentAt > now() - 60_000)) delete queues[id];
+                    else if (when != null) next = Math.min(next, when);
+                    await save(queues);
+                }
+                schedule(Number.isFinite(next) ? next : null);
+            });
+        }
+        function enqueue(hook, context) {
+            serialize(async () => {
+                const queues = await readQueues();
+                const queue = queues[hook.id] ||= {items: [], sent: []};
+                queue.items.push({hook, context, attempts: 0, dueAt: 0});
+                if (queue.items.length > MAX_QUEUE) queue.items.splice(0, queue.items.length - MAX_QUEUE);
+                await save(queues);
+            });
+            return drain();
+        }
+        return {enqueue, drain, send};
+    }
+    return {EVENTS, FORMATS, DEFAULT_TEMPLATE, createHook, normalizeHook, contextFromTransition, contextFromPvp, testContext, matches, renderTemplate, buildBody, createDispatcher};
+});